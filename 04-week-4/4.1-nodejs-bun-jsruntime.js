@@ -1,7 +1,3 @@
-//internal modules
-const Path = require('path');
-console.log(__dirname);
-console.log(Path.join(__dirname, 'test.txt'));
 //^5.3.0 means package should be at least 5.3.0 and less than 6.0.0 (compatible with minor/patch updates)
 //>5.3.0 means package should be greater than 5.3.0
 //>=5.3.0 means package should be greater than or equal to 5.3.0
@@ -16,27 +12,175 @@ console.log(Path.join(__dirname, 'test.txt'));
 //--------------------------------
 //npm install commander
 //create a short and simple cli tool that takes a file path as an argument and prints the number of words in the file
+//it grew into a small wc: many files, directories (recursive), glob patterns and stdin, with lines/words/chars/bytes/longest line
+//node 4.1-nodejs-bun-jsruntime.js notes.md "logs/**/*.log"
+//files are read as streams in 64 KB chunks, so even multi-gigabyte logs use constant memory (add --progress to see how far it got)
+//cat app.log | node 4.1-nodejs-bun-jsruntime.js -lw
+//--watch keeps running and redraws the counts (with the word delta since the start) whenever a file changes
+//subcommands top, ngrams and vocab analyse the words themselves (frequencies, n-grams, vocabulary) with --json/--csv output
 
 const { Command } = require('commander');
 const fs = require('fs');
+const { expandPaths } = require('./word-counter/files');
+const { COLUMNS, countStream, sumStats, formatTable } = require('./word-counter/stats');
+const { createProgress } = require('./word-counter/progress');
+const { loadStopWords, createAnalyzer, rank } = require('./word-counter/analysis');
+const { formatRecords } = require('./word-counter/output');
+const { watchInputs } = require('./word-counter/watch');
 const program = new Command();
 
+// expands the paths, opens every input as a stream and hands it to `consume(name, stream, onProgress)`
+// bad paths are reported on stderr and turn the exit code into 1, the other inputs are still processed
+async function forEachInput(paths, options, consume) {
+    const { files, errors } = expandPaths(paths.length > 0 ? paths : ['-']);
+    const progress = createProgress();
+    for (const filepath of files) {
+        const name = filepath === '-' ? '(stdin)' : filepath;
+        try {
+            const stream = filepath === '-' ? process.stdin : fs.createReadStream(filepath, { highWaterMark: 64 * 1024 });
+            const totalBytes = filepath === '-' ? 0 : fs.statSync(filepath).size;
+            const onProgress = options.progress ? bytesRead => progress.draw(name, bytesRead, totalBytes) : undefined;
+            await consume(name, stream, onProgress);
+        } catch (error) {
+            errors.push({ path: filepath, message: error.message });
+        } finally {
+            progress.clear();
+        }
+    }
+
+    for (const error of errors) {
+        console.error(`word-counter: ${error.path}: ${error.message}`);
+    }
+    if (errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// runs every input through one analyzer, used by the top / ngrams / vocab subcommands
+async function analyze(paths, options, n = 0) {
+    const analyzer = createAnalyzer({ foldCase: options.foldCase, stopWords: loadStopWords(options.stopWordsFile ?? options.stopWords), n });
+    await forEachInput(paths, options, async (name, stream, onProgress = () => { }) => {
+        let bytesRead = 0;
+        for await (const chunk of stream) {
+            analyzer.update(chunk);
+            bytesRead += chunk.length;
+            onProgress(bytesRead);
+        }
+        analyzer.endInput();
+    });
+    return analyzer.result();
+}
+
+// options shared by the analysis subcommands
+function analysisCommand(name, description) {
+    return program
+        .command(name)
+        .description(description)
+        .argument('[paths...]', 'files, directories or glob patterns (reads stdin when none are given, or for "-")')
+        .option('--no-fold-case', 'keep "The" and "the" apart instead of folding everything to lower case')
+        .option('-s, --stop-words', 'skip the words of a built-in english stop-word list')
+        .option('--stop-words-file <file>', 'skip the stop words listed in a file instead (separated by spaces or new lines)')
+        .option('--json', 'print the result as JSON')
+        .option('--csv', 'print the result as CSV')
+        .option('-p, --progress', 'show a progress indicator on stderr while reading big inputs');
+}
+
 program
     .name('word-counter')
-    .description('CLI tool to count words in a file')
-    .version('1.0.0');
+    .description('CLI tool to count lines, words, characters and bytes in files, directories, globs or stdin')
+    .version('1.0.0')
+    // -l means --lines before a subcommand and --limit after it
+    .enablePositionalOptions();
 
 program
-    .argument('<filepath>', 'path to the file')
-    .action((filepath) => {
-        try {
-            const content = fs.readFileSync(filepath, 'utf-8');
-            const words = content.trim().split(/\s+/).filter(word => word.length > 0);
-            console.log(`Number of words: ${words.length}`);
-        } catch (error) {
-            console.error(`Error reading file: ${error.message}`);
-            process.exit(1);
+    .argument('[paths...]', 'files, directories or glob patterns (reads stdin when none are given, or for "-")')
+    .option('-l, --lines', 'print the line counts')
+    .option('-w, --words', 'print the word counts')
+    .option('-m, --chars', 'print the character counts')
+    .option('-c, --bytes', 'print the byte counts')
+    .option('-L, --max-line-length', 'print the length of the longest line')
+    .option('-p, --progress', 'show a progress indicator on stderr while reading big inputs')
+    .option('--watch', 'keep running and live-update the counts as the files change')
+    .action(async (paths, options) => {
+        // like wc, picking some columns hides the rest, picking none prints them all
+        const picked = COLUMNS.filter(column => options[column.key]);
+        const columns = picked.length > 0 ? picked : COLUMNS;
+
+        if (options.watch) {
+            if (paths.length === 0 || paths.includes('-')) {
+                program.error('word-counter: --watch needs file, directory or glob paths, stdin cannot be watched');
+            }
+            return watchInputs(paths, { columns });
+        }
+
+        const rows = [];
+        await forEachInput(paths, options, async (name, stream, onProgress) => {
+            rows.push({ name, stats: await countStream(stream, onProgress) });
+        });
+
+        if (rows.length > 1) {
+            rows.push({ name: 'total', stats: sumStats(rows.map(row => row.stats)) });
+        }
+        if (rows.length > 0) {
+            console.log(formatTable(rows, columns));
+        }
+    });
+
+//word-counter top --limit 20 --stop-words chapter-*.md
+analysisCommand('top', 'most frequent words')
+    .option('-l, --limit <number>', 'how many words to show', value => parseInt(value, 10), 10)
+    .action(async (paths, options) => {
+        const { tokens, words } = await analyze(paths, options);
+        const records = rank(words, options.limit).map(([word, count], index) => ({
+            rank: index + 1,
+            word,
+            count,
+            percent: tokens > 0 ? Number(((count / tokens) * 100).toFixed(2)) : 0,
+        }));
+        console.log(formatRecords(records, [
+            { key: 'rank', label: '#' },
+            { key: 'word', label: 'word' },
+            { key: 'count', label: 'count' },
+            { key: 'percent', label: '%' },
+        ], options));
+    });
+
+//word-counter ngrams --n 3 --limit 5 draft.md
+analysisCommand('ngrams', 'most frequent sequences of n words')
+    .option('--n <number>', 'words per n-gram', value => parseInt(value, 10), 2)
+    .option('-l, --limit <number>', 'how many n-grams to show', value => parseInt(value, 10), 10)
+    .action(async (paths, options) => {
+        if (!(options.n >= 1)) {
+            program.error('word-counter: --n must be a positive number');
+        }
+        const { ngrams } = await analyze(paths, options, options.n);
+        const records = rank(ngrams, options.limit).map(([ngram, count], index) => ({ rank: index + 1, ngram, count }));
+        console.log(formatRecords(records, [
+            { key: 'rank', label: '#' },
+            { key: 'ngram', label: `${options.n}-gram` },
+            { key: 'count', label: 'count' },
+        ], options));
+    });
+
+//word-counter vocab --json notes/
+analysisCommand('vocab', 'unique words and the type/token ratio (lexical variety)')
+    .action(async (paths, options) => {
+        const { tokens, words } = await analyze(paths, options);
+        const types = words.size;
+        const typeTokenRatio = tokens > 0 ? Number((types / tokens).toFixed(4)) : 0;
+        const records = [...words.entries()]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([word, count]) => ({ word, count }));
+        const columns = [{ key: 'word', label: 'word' }, { key: 'count', label: 'count' }];
+
+        if (options.json) {
+            console.log(JSON.stringify({ tokens, types, typeTokenRatio, words: records }, null, 2));
+        } else if (options.csv) {
+            console.log(formatRecords(records, columns, options));
+        } else {
+            console.log(`tokens: ${tokens}  types: ${types}  type/token ratio: ${typeTokenRatio}\n`);
+            console.log(formatRecords(records, columns, options));
         }
     });
 
-program.parse(process.argv);
\ No newline at end of file
+program.parseAsync(process.argv);
\ No newline at end of file
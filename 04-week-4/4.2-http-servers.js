@@ -1,6 +1,9 @@
 //the way to reach a server is by using its domain name or ip address
 const express = require('express');
+const { requestLogger } = require('../shared/request-logger');
 const app = express();
+//one JSON log line per request (request id, status, latency), see shared/request-logger.js
+app.use(requestLogger());
 //check point middleware
 app.use((req, res, next) => {
     console.log('Request received (from middleware)');
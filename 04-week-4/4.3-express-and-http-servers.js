@@ -1,84 +1,175 @@
 const express = require('express');
-const users = require('./users');
+const { createRepositoryFromEnv } = require('./user-repository');
+const { kidneySummary, parseStatsQuery, computeStats } = require('./kidney-stats');
+const { NotFoundError, ValidationError, notFoundHandler, problemDetailsHandler } = require('../shared/http-errors');
+const { requestLogger } = require('../shared/request-logger');
 const app = express();
+//all reads and writes go through the repository, USER_STORE=file keeps the data across restarts
+const repository = createRepositoryFromEnv();
+app.use(requestLogger());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+//resource tree:
+//  /users                             GET list, POST create
+//  /users/:id                         GET, PUT, DELETE
+//  /users/:id/kidneys                 GET list, POST add
+//  /users/:id/kidneys/:kidneyId       GET, PUT (set healthy), DELETE
+//  /users/:id/kidneys/:kidneyId/toggle POST flips healthy
+//  /stats                             GET totals across all users (filters, sorting, pagination)
 
-app.get('/', (req, res) => {
+function userResponse(user) {
+    return { ...user, ...kidneySummary(user.kidney) };
+}
 
-    if (!users[0]) {
-        return res.status(404).json({ error: 'User not found' });
+//loads the user from :id into req.user, unknown (or non numeric) ids are a 404
+async function loadUser(req, res, next) {
+    const user = await repository.get(Number(req.params.id));
+    if (!user) {
+        throw new NotFoundError('User not found');
     }
-    const johnKidney = users[0].kidney;
-    const numberOfKidneys = johnKidney.length;
-    const healthyKidneys = johnKidney.filter(kidney => kidney.healthy).length;
-    const unhealthyKidneys = johnKidney.filter(kidney => !kidney.healthy).length;
-    res.json({
-        name: users[0].name,
-        id: users[0].id,
-        numberOfKidneys,
-        healthyKidneys,
-        unhealthyKidneys,
-    });
+    req.user = user;
+    next();
+}
+
+//loads the kidney from :kidneyId of req.user into req.kidney
+function loadKidney(req, res, next) {
+    req.kidney = findKidney(req.user, req.params.kidneyId);
+    next();
+}
+
+function findKidney(user, kidneyId) {
+    const kidney = user.kidney.find(kidney => kidney.id === Number(kidneyId));
+    if (!kidney) {
+        throw new NotFoundError('Kidney not found');
+    }
+    return kidney;
+}
+
+//changes the kidneys of :id inside the repository's write queue, so concurrent requests never
+//work on a stale copy of the list. `change(user)` edits user.kidney and returns the kidney it
+//touched, the response carries that kidney and the new counts
+async function changeKidneys(req, res, change, { message, status = 200 }) {
+    const changed = await repository.modify(Number(req.params.id), change);
+    if (!changed) {
+        throw new NotFoundError('User not found');
+    }
+    const { user, result: kidney } = changed;
+    res.status(status).json({ message: typeof message === 'function' ? message(kidney) : message, kidney, ...kidneySummary(user.kidney) });
+}
+
+// ---------- users ----------
+
+app.get('/users', async (req, res) => {
+    const users = await repository.list();
+    res.json({ users: users.map(userResponse) });
 });
-app.post('/', (req, res) => {
-    if (!users[0]) {
-        return res.status(404).json({ error: 'User not found' });
+
+app.post('/users', async (req, res) => {
+    const { name, kidney = [] } = req.body;
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new ValidationError('name is required', [{ path: 'name', message: 'Required' }]);
     }
-    const isHealthy = req.body.isHealthy;
-    if (typeof isHealthy !== 'boolean') {
-        return res.status(400).json({ error: 'isHealthy must be a boolean' });
+    if (!Array.isArray(kidney) || kidney.some(k => typeof k?.healthy !== 'boolean')) {
+        throw new ValidationError('kidney must be a list of { healthy: boolean }', [{ path: 'kidney', message: 'Expected a list of { healthy: boolean }' }]);
     }
-    users[0].kidney.push({
-        healthy: isHealthy
-    });
-    res.json({
-        message: 'Kidney added successfully',
-        numberOfKidneys: users[0].kidney.length,
-        healthyKidneys: users[0].kidney.filter(kidney => kidney.healthy).length,
-        unhealthyKidneys: users[0].kidney.filter(kidney => !kidney.healthy).length,
+    const user = await repository.create({
+        name: name.trim(),
+        kidney: kidney.map((k, index) => ({ id: index + 1, healthy: k.healthy })),
     });
+    res.status(201).json({ message: 'User created successfully', user: userResponse(user) });
 });
 
-app.put('/', (req, res) => {
-    if (!users[0]) {
-        return res.status(404).json({ error: 'User not found' });
+app.get('/users/:id', loadUser, (req, res) => {
+    res.json({ user: userResponse(req.user) });
+});
+
+app.put('/users/:id', loadUser, async (req, res) => {
+    const { name } = req.body;
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new ValidationError('name is required', [{ path: 'name', message: 'Required' }]);
     }
-    const unhealthyKidneys = users[0].kidney.filter(kidney => !kidney.healthy);
-    if (unhealthyKidneys.length === 0) {
-        return res.status(400).json({ error: 'No unhealthy kidneys to update' });
+    const user = await repository.update(req.user.id, { name: name.trim() });
+    if (!user) {
+        throw new NotFoundError('User not found');
     }
-    // Update all unhealthy kidneys to healthy
-    users[0].kidney.forEach(kidney => {
-        kidney.healthy = true;
-    });
-    res.json({
-        message: 'All kidneys updated to healthy',
-        numberOfKidneys: users[0].kidney.length,
-        healthyKidneys: users[0].kidney.filter(kidney => kidney.healthy).length,
-        unhealthyKidneys: users[0].kidney.filter(kidney => !kidney.healthy).length,
-    });
+    res.json({ message: 'User updated successfully', user: userResponse(user) });
+});
+
+app.delete('/users/:id', loadUser, async (req, res) => {
+    await repository.remove(req.user.id);
+    res.json({ message: 'User deleted successfully' });
+});
+
+// ---------- kidneys of one user ----------
+
+app.get('/users/:id/kidneys', loadUser, (req, res) => {
+    res.json({ kidneys: req.user.kidney, ...kidneySummary(req.user.kidney) });
 });
 
-app.delete('/', (req, res) => {
-    if (!users[0]) {
-        return res.status(404).json({ error: 'User not found' });
+app.post('/users/:id/kidneys', async (req, res) => {
+    const isHealthy = req.body.isHealthy;
+    if (typeof isHealthy !== 'boolean') {
+        throw new ValidationError('isHealthy must be a boolean', [{ path: 'isHealthy', message: 'Expected a boolean' }]);
     }
-    const unhealthyKidneys = users[0].kidney.filter(kidney => !kidney.healthy);
-    if (unhealthyKidneys.length === 0) {
-        return res.status(411).json({ error: 'No unhealthy kidneys to remove' });
+    await changeKidneys(req, res, user => {
+        const kidney = {
+            id: Math.max(0, ...user.kidney.map(k => k.id)) + 1,
+            healthy: isHealthy
+        };
+        user.kidney.push(kidney);
+        return kidney;
+    }, { message: 'Kidney added successfully', status: 201 });
+});
+
+app.get('/users/:id/kidneys/:kidneyId', loadUser, loadKidney, (req, res) => {
+    res.json({ kidney: req.kidney });
+});
+
+app.put('/users/:id/kidneys/:kidneyId', async (req, res) => {
+    const isHealthy = req.body.isHealthy;
+    if (typeof isHealthy !== 'boolean') {
+        throw new ValidationError('isHealthy must be a boolean', [{ path: 'isHealthy', message: 'Expected a boolean' }]);
     }
-    // Remove all unhealthy kidneys
-    users[0].kidney = users[0].kidney.filter(kidney => kidney.healthy);
-    res.json({
-        message: 'All unhealthy kidneys removed successfully',
-        numberOfKidneys: users[0].kidney.length,
-        healthyKidneys: users[0].kidney.filter(kidney => kidney.healthy).length,
-        unhealthyKidneys: users[0].kidney.filter(kidney => !kidney.healthy).length,
-    });
+    await changeKidneys(req, res, user => {
+        const kidney = findKidney(user, req.params.kidneyId);
+        kidney.healthy = isHealthy;
+        return kidney;
+    }, { message: 'Kidney updated successfully' });
 });
 
+app.post('/users/:id/kidneys/:kidneyId/toggle', async (req, res) => {
+    await changeKidneys(req, res, user => {
+        const kidney = findKidney(user, req.params.kidneyId);
+        kidney.healthy = !kidney.healthy;
+        return kidney;
+    }, { message: kidney => `Kidney marked as ${kidney.healthy ? 'healthy' : 'unhealthy'}` });
+});
+
+app.delete('/users/:id/kidneys/:kidneyId', async (req, res) => {
+    await changeKidneys(req, res, user => {
+        const kidney = findKidney(user, req.params.kidneyId);
+        user.kidney = user.kidney.filter(k => k.id !== kidney.id);
+        return kidney;
+    }, { message: 'Kidney removed successfully' });
+});
+
+// ---------- population statistics ----------
+
+//GET /stats?healthy=false&minKidneys=2&sort=-unhealthyKidneys&page=1&limit=10
+app.get('/stats', async (req, res) => {
+    const { filters, errors } = parseStatsQuery(req.query);
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid query parameters', errors.map(message => ({ path: 'query', message })));
+    }
+    const users = await repository.list();
+    res.json(computeStats(users, filters));
+});
+
+//unknown routes and every thrown error end up as application/problem+json
+app.use(notFoundHandler);
+app.use(problemDetailsHandler());
+
 app.listen(3000, () => {
     console.log('Server is running on port 3000');
-});
\ No newline at end of file
+});
@@ -1,35 +1,33 @@
 const express = require('express');
+const { rateLimit, keyBy } = require('../shared/rate-limiter');
+const { storeFromEnv } = require('../shared/rate-limit-store');
+const { UnauthorizedError, notFoundHandler, problemDetailsHandler } = require('../shared/http-errors');
+const { requestLogger } = require('../shared/request-logger');
 const app = express();
+//first middleware, so requests rejected by the rate limiter are logged too
+app.use(requestLogger());
 app.use(express.json());
-let requestCounter = 0;
-let numberOfRide1Requests = {};
 
-setInterval(() => {
-    numberOfRide1Requests = {};
-}, 1000);
-
-app.use((req, res, next) => {
-    const userId = req.headers["user-id"];
-    numberOfRide1Requests[userId] = (numberOfRide1Requests[userId] || 0) + 1;
-    if (numberOfRide1Requests[userId] > 1) {
-        return res.status(429).json({ error: 'You have made too many requests to ride1' });
-    }
-    next();
-});
+//1 request per second for every user-id header (instead of a setInterval wiping a global object every second)
+//set RATE_LIMIT_SOCKET to share the limit with other processes (node ../shared/rate-limit-store.js starts the server)
+app.use(rateLimit({
+    name: 'ride1',
+    store: storeFromEnv(),
+    strategy: 'fixed-window',
+    limit: 1,
+    windowMs: 1000,
+    key: keyBy.header('user-id'),
+    message: 'You have made too many requests to ride1',
+}));
 function isOldEnough(req, res, next) {
     const age = parseInt(req.query.age);
     if (isNaN(age) || age < 18) {
-        return res.status(401).json({ error: 'You are not old enough to ride the ride1' });
+        return next(new UnauthorizedError('You are not old enough to ride the ride1'));
     }
     next();
 }
 
 // app.use(isOldEnough);
-app.use((req, res, next) => {
-    requestCounter++;
-    console.log(`Total requests: ${requestCounter}`);
-    next();
-});
 app.get('/', (req, res) => {
     throw new Error("This is a test error");
 });
@@ -38,9 +36,10 @@ app.get('/ride1', isOldEnough, (req, res) => {
         message: "you have successfully ridden the ride1"
     })
 });
-app.use((err, _req, res, _next) => {
-    res.status(500).json({ error: err.message });
-});
+//unknown routes become a 404, every error (thrown or passed to next) becomes an application/problem+json response
+//NODE_ENV=production hides the message and stack of unexpected errors like the one thrown on GET /
+app.use(notFoundHandler);
+app.use(problemDetailsHandler());
 app.listen(3000, () => {
     console.log('Server is running on port 3000');
 })
\ No newline at end of file
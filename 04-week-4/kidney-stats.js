@@ -0,0 +1,127 @@
+const SORT_FIELDS = ['id', 'name', 'numberOfKidneys', 'healthyKidneys', 'unhealthyKidneys'];
+const QUERY_PARAMS = ['healthy', 'minKidneys', 'maxKidneys', 'sort', 'page', 'limit'];
+
+function kidneySummary(kidneys) {
+    return {
+        numberOfKidneys: kidneys.length,
+        healthyKidneys: kidneys.filter(kidney => kidney.healthy).length,
+        unhealthyKidneys: kidneys.filter(kidney => !kidney.healthy).length,
+    };
+}
+
+// "all healthy", "some unhealthy" or "no kidneys" — the buckets the dashboards group users by
+function healthStatus(summary) {
+    if (summary.numberOfKidneys === 0) {
+        return 'noKidneys';
+    }
+    return summary.unhealthyKidneys === 0 ? 'allHealthy' : 'someUnhealthy';
+}
+
+function parseCount(value, name, errors, { min = 0, fallback } = {}) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        errors.push(`${name} must be a whole number >= ${min}`);
+        return fallback;
+    }
+    return number;
+}
+
+/**
+ * Reads the /stats query string:
+ *   healthy=true|false   only users whose kidneys are all healthy / that have an unhealthy kidney
+ *   minKidneys, maxKidneys
+ *   sort=field or -field (descending), one of SORT_FIELDS
+ *   page (from 1) and limit (1-100) for the per-user listing
+ * Returns { filters, errors }, errors is a list of messages for a 400.
+ */
+function parseStatsQuery(query) {
+    const errors = [];
+    const filters = {};
+
+    // ?sort=id&sort=name arrives as an array, everything below expects one string per param
+    for (const name of QUERY_PARAMS) {
+        if (query[name] !== undefined && typeof query[name] !== 'string') {
+            errors.push(`${name} must be given once, as a single value`);
+        }
+    }
+    if (errors.length > 0) {
+        return { filters, errors };
+    }
+
+    if (query.healthy !== undefined) {
+        if (query.healthy !== 'true' && query.healthy !== 'false') {
+            errors.push('healthy must be true or false');
+        } else {
+            filters.healthy = query.healthy === 'true';
+        }
+    }
+    filters.minKidneys = parseCount(query.minKidneys, 'minKidneys', errors);
+    filters.maxKidneys = parseCount(query.maxKidneys, 'maxKidneys', errors);
+
+    const sort = query.sort || 'id';
+    filters.sortField = sort.replace(/^-/, '');
+    filters.sortDirection = sort.startsWith('-') ? -1 : 1;
+    if (!SORT_FIELDS.includes(filters.sortField)) {
+        errors.push(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+    }
+
+    filters.page = parseCount(query.page, 'page', errors, { min: 1, fallback: 1 });
+    filters.limit = parseCount(query.limit, 'limit', errors, { min: 1, fallback: 10 });
+    if (filters.limit > 100) {
+        errors.push('limit must be at most 100');
+    }
+    return { filters, errors };
+}
+
+function matches(row, filters) {
+    if (filters.healthy === true && healthStatus(row) !== 'allHealthy') {
+        return false;
+    }
+    if (filters.healthy === false && row.unhealthyKidneys === 0) {
+        return false;
+    }
+    if (filters.minKidneys !== undefined && row.numberOfKidneys < filters.minKidneys) {
+        return false;
+    }
+    if (filters.maxKidneys !== undefined && row.numberOfKidneys > filters.maxKidneys) {
+        return false;
+    }
+    return true;
+}
+
+// population level numbers for the users that pass the filters, plus one page of the per-user rows
+function computeStats(users, filters) {
+    const rows = users
+        .map(user => ({ id: user.id, name: user.name, ...kidneySummary(user.kidney) }))
+        .filter(row => matches(row, filters));
+
+    const totals = { users: rows.length, kidneys: 0, healthyKidneys: 0, unhealthyKidneys: 0 };
+    const usersByStatus = { allHealthy: 0, someUnhealthy: 0, noKidneys: 0 };
+    for (const row of rows) {
+        totals.kidneys += row.numberOfKidneys;
+        totals.healthyKidneys += row.healthyKidneys;
+        totals.unhealthyKidneys += row.unhealthyKidneys;
+        usersByStatus[healthStatus(row)]++;
+    }
+    totals.healthyRatio = totals.kidneys > 0 ? Number((totals.healthyKidneys / totals.kidneys).toFixed(4)) : null;
+
+    const { sortField, sortDirection, page, limit } = filters;
+    rows.sort((a, b) => {
+        const order = typeof a[sortField] === 'string'
+            ? a[sortField].localeCompare(b[sortField])
+            : a[sortField] - b[sortField];
+        return order * sortDirection || a.id - b.id;
+    });
+
+    return {
+        totals,
+        usersByStatus,
+        users: rows.slice((page - 1) * limit, page * limit),
+        pagination: { page, limit, total: rows.length, totalPages: Math.ceil(rows.length / limit) },
+    };
+}
+
+module.exports = { kidneySummary, healthStatus, parseStatsQuery, computeStats };
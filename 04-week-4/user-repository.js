@@ -0,0 +1,143 @@
+const Path = require('path');
+const users = require('./users');
+const { readJsonFile, writeJsonFileAtomic, removeStaleTempFiles } = require('../shared/json-file');
+
+// the state every backend stores: the users plus the next id to hand out
+function seedState(seedUsers) {
+    return {
+        nextId: Math.max(0, ...seedUsers.map(user => user.id)) + 1,
+        users: structuredClone(seedUsers),
+    };
+}
+
+// files written before kidneys were addressable by id get ids on the first read
+function withKidneyIds(state) {
+    for (const user of state.users) {
+        let nextKidneyId = Math.max(0, ...user.kidney.map(kidney => kidney.id || 0)) + 1;
+        user.kidney = user.kidney.map(kidney => (kidney.id ? kidney : { ...kidney, id: nextKidneyId++ }));
+    }
+    return state;
+}
+
+/**
+ * Repository for the kidney API users. Route handlers only talk to this interface:
+ *   list()               -> all users
+ *   get(id)              -> one user or null
+ *   create(user)         -> the stored user with its new id
+ *   update(id, changes)  -> the updated user or null
+ *   modify(id, change)   -> runs change(user) on the stored user inside the write queue,
+ *                           { user, result } with change's return value, or null for an unknown id
+ *   remove(id)           -> the removed user or null
+ *
+ * A backend is just { load(), save(state) }. Writes are queued one after another and a
+ * change only becomes visible once save() succeeded, so a failed write never leaves the
+ * in-memory copy ahead of what is stored. Everything handed out is a copy, callers can't
+ * change the stored users by mutating a returned object.
+ */
+function createUserRepository(backend) {
+    let state = null;
+    let loading = null;
+    let queue = Promise.resolve();
+
+    // one load for all callers that arrive before it finished, a second load finishing late would
+    // replace state with what was stored before a write that happened in between
+    async function read() {
+        loading ??= backend.load().then(loaded => {
+            state = withKidneyIds(loaded);
+        }, error => {
+            loading = null; // the next call tries again
+            throw error;
+        });
+        await loading;
+        return state;
+    }
+
+    function mutate(change) {
+        const run = queue.then(async () => {
+            const next = structuredClone(await read());
+            const result = change(next);
+            await backend.save(next);
+            state = next;
+            return result === undefined ? null : structuredClone(result);
+        });
+        queue = run.catch(() => { });
+        return run;
+    }
+
+    return {
+        async list() {
+            return structuredClone((await read()).users);
+        },
+        async get(id) {
+            const user = (await read()).users.find(user => user.id === id);
+            return user ? structuredClone(user) : null;
+        },
+        create(user) {
+            return mutate(next => {
+                const created = { ...user, id: next.nextId++ };
+                next.users.push(created);
+                return created;
+            });
+        },
+        update(id, changes) {
+            return mutate(next => {
+                const user = next.users.find(user => user.id === id);
+                return user ? Object.assign(user, changes, { id }) : null;
+            });
+        },
+        // read-modify-write in one step: a change computed from a user read earlier (get(), then
+        // update()) overwrites whatever another request stored in between
+        modify(id, change) {
+            return mutate(next => {
+                const user = next.users.find(user => user.id === id);
+                if (!user) {
+                    return null;
+                }
+                const result = change(user);
+                user.id = id;
+                return { user, result };
+            });
+        },
+        remove(id) {
+            return mutate(next => {
+                const index = next.users.findIndex(user => user.id === id);
+                return index === -1 ? null : next.users.splice(index, 1)[0];
+            });
+        },
+    };
+}
+
+// keeps everything in memory, starts from the users in users.js on every restart
+function createMemoryRepository(seedUsers = users) {
+    return createUserRepository({
+        load: async () => seedState(seedUsers),
+        save: async () => { },
+    });
+}
+
+// stores everything in one JSON file, written atomically (see shared/json-file.js)
+function createFileRepository(filepath, seedUsers = users) {
+    return createUserRepository({
+        async load() {
+            await removeStaleTempFiles(filepath);
+            const stored = await readJsonFile(filepath);
+            if (stored) {
+                return stored;
+            }
+            const state = seedState(seedUsers);
+            await writeJsonFileAtomic(filepath, state);
+            return state;
+        },
+        save: state => writeJsonFileAtomic(filepath, state),
+    });
+}
+
+// USER_STORE=file keeps the users across restarts (in USER_STORE_FILE), anything else keeps them in memory
+function createRepositoryFromEnv(env = process.env) {
+    if (env.USER_STORE === 'file') {
+        return createFileRepository(env.USER_STORE_FILE || Path.join(__dirname, 'data', 'users.json'));
+    }
+    return createMemoryRepository();
+}
+
+module.exports = { createUserRepository, createMemoryRepository, createFileRepository, createRepositoryFromEnv };
@@ -3,9 +3,11 @@ const users = [{
     name: 'John',
     kidney: [
         {
+            id: 1,
             healthy: false
         },
         {
+            id: 2,
             healthy: true
         }
     ]
@@ -16,9 +18,11 @@ const users = [{
     name: 'Jane',
     kidney: [
         {
+            id: 1,
             healthy: true
         },
         {
+            id: 2,
             healthy: false
         }
     ]
@@ -28,9 +32,11 @@ const users = [{
     name: 'Jim',
     kidney: [
         {
+            id: 1,
             healthy: true
         },
         {
+            id: 2,
             healthy: false
         }
     ]
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+// a word is a run of letters/digits, apostrophes are allowed inside it (don't, l'été)
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+// the part at the end of a chunk that may continue in the next chunk
+const TRAILING_WORD = /[\p{L}\p{N}'’]+$/u;
+
+// small english stop-word list, used by --stop-words (--stop-words-file replaces it)
+const ENGLISH_STOP_WORDS = [
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+    'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her',
+    'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no',
+    'not', 'of', 'on', 'one', 'or', 'other', 'our', 'out', 'over', 'she', 'so', 'some', 'than', 'that',
+    'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'up', 'us', 'was', 'we',
+    'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your',
+];
+
+function loadStopWords(option) {
+    if (!option) {
+        return new Set();
+    }
+    if (option === true) {
+        return new Set(ENGLISH_STOP_WORDS);
+    }
+    const content = fs.readFileSync(option, 'utf-8');
+    return new Set(content.split(/\s+/).filter(word => word.length > 0).map(word => word.toLowerCase()));
+}
+
+/**
+ * Streaming tokenizer: feed it Buffers, it calls onWord(word) for every word.
+ * Like the counter in stats.js it never holds more than one chunk, the tail of a
+ * chunk that could be the start of a longer word is kept back until the next chunk.
+ */
+function createTokenizer(onWord, { foldCase = true } = {}) {
+    const decoder = new StringDecoder('utf8');
+    let carry = '';
+
+    function emit(text) {
+        for (const [word] of text.matchAll(WORD)) {
+            onWord(foldCase ? word.toLowerCase() : word);
+        }
+    }
+
+    return {
+        update(chunk) {
+            const text = carry + decoder.write(chunk);
+            const tail = text.match(TRAILING_WORD);
+            carry = tail ? tail[0] : '';
+            emit(tail ? text.slice(0, tail.index) : text);
+        },
+        finish() {
+            emit(carry + decoder.end());
+            carry = '';
+        },
+    };
+}
+
+/**
+ * Collects everything the analysis subcommands need in one pass:
+ * - word frequencies (top, vocab)
+ * - n-gram frequencies when `n` is set (ngrams)
+ * Stop words are dropped from the word frequencies and any n-gram that contains one is skipped.
+ */
+function createAnalyzer({ foldCase = true, stopWords = new Set(), n = 0 } = {}) {
+    const words = new Map();
+    const ngrams = new Map();
+    const window = [];
+    let tokens = 0;
+
+    const tokenizer = createTokenizer(word => {
+        tokens++;
+        const isStopWord = stopWords.has(word.toLowerCase());
+        if (!isStopWord) {
+            words.set(word, (words.get(word) || 0) + 1);
+        }
+        if (n > 0) {
+            window.push(isStopWord ? null : word);
+            if (window.length > n) {
+                window.shift();
+            }
+            if (window.length === n && !window.includes(null)) {
+                const ngram = window.join(' ');
+                ngrams.set(ngram, (ngrams.get(ngram) || 0) + 1);
+            }
+        }
+    }, { foldCase });
+
+    return {
+        update: chunk => tokenizer.update(chunk),
+        // each input is its own text, an n-gram never spans two files
+        endInput() {
+            tokenizer.finish();
+            window.length = 0;
+        },
+        result: () => ({ tokens, words, ngrams }),
+    };
+}
+
+// sorts a frequency map by count (then alphabetically) and keeps the first `limit` entries
+function rank(counts, limit = Infinity) {
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit);
+}
+
+module.exports = { ENGLISH_STOP_WORDS, loadStopWords, createTokenizer, createAnalyzer, rank };
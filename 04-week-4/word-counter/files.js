@@ -0,0 +1,127 @@
+const fs = require('fs');
+const Path = require('path');
+
+const GLOB_CHARS = /[*?[{]/;
+
+// converts a glob like src/**/*.{md,txt} into a regex that is matched against '/'-separated paths
+function globToRegExp(glob) {
+    let source = '';
+    let inGroup = false;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories, a bare "**" matches anything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (set.startsWith('!')) {
+                set = '^' + set.slice(1);
+            }
+            source += `[${set}]`;
+            i = end;
+        } else if (char === '{') {
+            inGroup = true;
+            source += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            source += ')';
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\\]}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function toPosix(filepath) {
+    return filepath.split(Path.sep).join('/');
+}
+
+// walks a directory depth-first and returns every file below it in a stable (sorted) order
+function walk(dir, maxDepth = Infinity, depth = 1) {
+    const files = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const fullPath = Path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (depth < maxDepth) {
+                files.push(...walk(fullPath, maxDepth, depth + 1));
+            }
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function expandGlob(pattern) {
+    const segments = toPosix(pattern).split('/');
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const base = segments.slice(0, firstGlob).join('/') || '.';
+    const rest = segments.slice(firstGlob);
+    const maxDepth = rest.includes('**') || rest.some(segment => segment.includes('**')) ? Infinity : rest.length;
+    const matcher = globToRegExp(rest.join('/'));
+
+    if (!fs.existsSync(base)) {
+        return [];
+    }
+    return walk(base, maxDepth)
+        .filter(file => matcher.test(toPosix(Path.relative(base, file))));
+}
+
+/**
+ * Expands the paths given on the command line into a flat list of files.
+ * Plain files are kept as they are, directories are walked recursively and
+ * glob patterns (*, **, ?, [abc], {a,b}) are matched against the file system.
+ * "-" stands for stdin and is passed through untouched.
+ *
+ * Returns { files, errors } so that one bad path does not stop the others from being counted.
+ */
+function expandPaths(inputs) {
+    const files = [];
+    const errors = [];
+    for (const input of inputs) {
+        if (input === '-') {
+            files.push(input);
+            continue;
+        }
+        try {
+            if (fs.existsSync(input)) {
+                const stats = fs.statSync(input);
+                files.push(...(stats.isDirectory() ? walk(input) : [input]));
+            } else if (GLOB_CHARS.test(input)) {
+                const matches = expandGlob(input);
+                if (matches.length === 0) {
+                    errors.push({ path: input, message: 'no files match this pattern' });
+                }
+                files.push(...matches);
+            } else {
+                errors.push({ path: input, message: 'no such file or directory' });
+            }
+        } catch (error) {
+            errors.push({ path: input, message: error.message });
+        }
+    }
+    return { files: [...new Set(files)], errors };
+}
+
+module.exports = { expandPaths, globToRegExp };
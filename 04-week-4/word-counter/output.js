@@ -0,0 +1,37 @@
+function csvField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// records are plain objects, columns are { key, label } — numbers are right-aligned, text left-aligned
+function toTable(records, columns) {
+    const header = columns.map(column => column.label);
+    const body = records.map(record => columns.map(column => String(record[column.key])));
+    const numeric = columns.map(column => records.length > 0 && records.every(record => typeof record[column.key] === 'number'));
+    const widths = columns.map((_, index) => Math.max(...[header, ...body].map(cells => cells[index].length)));
+    return [header, ...body]
+        .map(cells => cells
+            .map((cell, index) => (numeric[index] ? cell.padStart(widths[index]) : cell.padEnd(widths[index])))
+            .join('  ')
+            .trimEnd())
+        .join('\n');
+}
+
+function toCsv(records, columns) {
+    return [columns.map(column => column.key), ...records.map(record => columns.map(column => record[column.key]))]
+        .map(cells => cells.map(csvField).join(','))
+        .join('\n');
+}
+
+// picks the output format from the --json / --csv flags shared by the analysis subcommands
+function formatRecords(records, columns, options = {}) {
+    if (options.json) {
+        return JSON.stringify(records, null, 2);
+    }
+    if (options.csv) {
+        return toCsv(records, columns);
+    }
+    return toTable(records, columns);
+}
+
+module.exports = { toTable, toCsv, formatRecords };
@@ -0,0 +1,46 @@
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+function formatBytes(bytes) {
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < UNITS.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${UNITS[unit]}`;
+}
+
+/**
+ * Progress line on stderr (so it never ends up in piped stdout) that is redrawn
+ * in place at most every `intervalMs`. Nothing is drawn during the first interval,
+ * so small inputs finish without any flicker. totalBytes is unknown for stdin, in
+ * that case only the amount read so far is shown.
+ */
+function createProgress({ stream = process.stderr, intervalMs = 200 } = {}) {
+    let lastDraw = Date.now();
+    let drawn = false;
+
+    function draw(label, bytesRead, totalBytes) {
+        const now = Date.now();
+        if (now - lastDraw < intervalMs) {
+            return;
+        }
+        lastDraw = now;
+        drawn = true;
+        const amount = totalBytes
+            ? `${formatBytes(bytesRead)} / ${formatBytes(totalBytes)} (${Math.floor((bytesRead / totalBytes) * 100)}%)`
+            : formatBytes(bytesRead);
+        stream.write(`\r\x1b[K${label}: ${amount}`);
+    }
+
+    function clear() {
+        if (drawn) {
+            stream.write('\r\x1b[K');
+            drawn = false;
+        }
+    }
+
+    return { draw, clear };
+}
+
+module.exports = { createProgress, formatBytes };
@@ -0,0 +1,113 @@
+const { StringDecoder } = require('string_decoder');
+const { toTable } = require('./output');
+
+// the columns word-counter can print, in the same order wc prints them
+const COLUMNS = [
+    { key: 'lines', label: 'lines' },
+    { key: 'words', label: 'words' },
+    { key: 'chars', label: 'chars' },
+    { key: 'bytes', label: 'bytes' },
+    { key: 'maxLineLength', label: 'longest' },
+];
+
+function emptyStats() {
+    return { lines: 0, words: 0, chars: 0, bytes: 0, maxLineLength: 0 };
+}
+
+// number of unicode code points in a string (a surrogate pair is one character)
+function codePointLength(text) {
+    return text.length - (text.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g) || []).length;
+}
+
+/**
+ * Incremental counter that is fed one chunk (Buffer) at a time, so memory stays
+ * the same whether the input is 2 KB or 2 GB. It counts the way wc does:
+ * - lines are newline characters (a last line without "\n" is not counted)
+ * - words are runs of non-whitespace characters
+ * - chars are unicode code points, bytes are raw bytes
+ * - maxLineLength is the longest line in chars, without its line ending
+ *
+ * Anything that can be cut in half by a chunk boundary is carried over to the next chunk:
+ * the StringDecoder holds back incomplete UTF-8 sequences, `inWord` remembers that the
+ * previous chunk ended in the middle of a word and `lineLength` keeps growing until a "\n".
+ */
+function createCounter() {
+    const decoder = new StringDecoder('utf8');
+    const stats = emptyStats();
+    let inWord = false;
+    let lineLength = 0;
+    let lineEndsWithCR = false;
+
+    function consume(text) {
+        if (!text) {
+            return;
+        }
+        stats.chars += codePointLength(text);
+
+        let words = (text.match(/\S+/g) || []).length;
+        if (inWord && /^\S/.test(text)) {
+            words--; // same word as the end of the previous chunk
+        }
+        stats.words += words;
+        inWord = /\S$/.test(text);
+
+        const parts = text.split('\n');
+        parts.forEach((part, index) => {
+            lineLength += codePointLength(part);
+            if (part.length > 0) {
+                lineEndsWithCR = part.endsWith('\r');
+            }
+            if (index < parts.length - 1) {
+                stats.lines++;
+                stats.maxLineLength = Math.max(stats.maxLineLength, lineLength - (lineEndsWithCR ? 1 : 0));
+                lineLength = 0;
+                lineEndsWithCR = false;
+            }
+        });
+    }
+
+    return {
+        update(chunk) {
+            stats.bytes += chunk.length;
+            consume(decoder.write(chunk));
+        },
+        finish() {
+            consume(decoder.end());
+            stats.maxLineLength = Math.max(stats.maxLineLength, lineLength);
+            return { ...stats };
+        },
+    };
+}
+
+// counts a readable stream chunk by chunk, calling onProgress(bytesRead) as it goes
+async function countStream(stream, onProgress = () => { }) {
+    const counter = createCounter();
+    let bytesRead = 0;
+    for await (const chunk of stream) {
+        counter.update(chunk);
+        bytesRead += chunk.length;
+        onProgress(bytesRead);
+    }
+    return counter.finish();
+}
+
+// adds up the per-file stats into the "total" row (the longest line is a max, not a sum)
+function sumStats(statsList) {
+    const total = emptyStats();
+    for (const stats of statsList) {
+        total.lines += stats.lines;
+        total.words += stats.words;
+        total.chars += stats.chars;
+        total.bytes += stats.bytes;
+        total.maxLineLength = Math.max(total.maxLineLength, stats.maxLineLength);
+    }
+    return total;
+}
+
+// one row per input plus the file name, right-aligned numbers like wc
+function formatTable(rows, columns = COLUMNS) {
+    const records = rows.map(row => ({ ...row.stats, file: row.name }));
+    return toTable(records, [...columns, { key: 'file', label: 'file' }]);
+}
+
+module.exports = { COLUMNS, emptyStats, createCounter, countStream, sumStats, formatTable };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const Path = require('path');
+const { expandPaths } = require('./files');
+const { countStream, sumStats, emptyStats } = require('./stats');
+const { toTable } = require('./output');
+
+function formatDelta(delta) {
+    return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Keeps counting the given paths while they are being edited.
+ * - every directory that holds a watched file (and every directory given on the
+ *   command line) gets one fs.watch, so new, deleted and renamed files are noticed
+ * - only the file that changed is counted again, the rest keep their last stats
+ * - deleted or unreadable files stay in the table with a status instead of ending the process
+ * - the word delta is measured against the counts taken when the session started
+ */
+function watchInputs(paths, { columns, debounceMs = 100, output = process.stdout } = {}) {
+    const files = new Map(); // filepath -> { stats, startWords, status }
+    const watchers = new Map(); // directory -> fs.FSWatcher
+    const timers = new Map();
+    let startWords = 0;
+    let lastErrors = [];
+
+    async function count(filepath) {
+        const known = files.get(filepath);
+        const entry = known || { stats: emptyStats(), startWords: 0, status: 'new' };
+        files.set(filepath, entry);
+        try {
+            entry.stats = await countStream(fs.createReadStream(filepath, { highWaterMark: 64 * 1024 }));
+            // 'new' only until the file changes for the first time after it joined the table
+            entry.status = known ? 'ok' : 'new';
+        } catch (error) {
+            entry.stats = emptyStats();
+            entry.status = error.code === 'ENOENT' ? 'deleted' : `error: ${error.code || error.message}`;
+        }
+    }
+
+    function watchDirectory(dir) {
+        if (watchers.has(dir)) {
+            return;
+        }
+        try {
+            const watcher = fs.watch(dir, (_eventType, filename) => {
+                schedule(filename ? Path.join(dir, filename.toString()) : null);
+            });
+            // a watched directory that gets deleted emits an error, drop it instead of crashing
+            watcher.on('error', () => {
+                watcher.close();
+                watchers.delete(dir);
+                schedule(null);
+            });
+            watchers.set(dir, watcher);
+        } catch {
+            // the directory is gone already, the next rescan will pick up whatever replaces it
+        }
+    }
+
+    // re-expands the inputs so new files (or a renamed file's new name) join the table
+    async function rescan() {
+        const { files: current, errors } = expandPaths(paths);
+        // a deleted file already shows up in the table, only report paths that never matched anything
+        lastErrors = errors.filter(error => !files.has(error.path));
+        const currentSet = new Set(current);
+        for (const filepath of current) {
+            if (!files.has(filepath)) {
+                await count(filepath);
+            }
+            watchDirectory(Path.dirname(filepath));
+        }
+        for (const [filepath, entry] of files) {
+            if (!currentSet.has(filepath) && !fs.existsSync(filepath)) {
+                entry.stats = emptyStats();
+                entry.status = 'deleted';
+            }
+        }
+        for (const input of paths) {
+            if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+                watchDirectory(input);
+            }
+        }
+    }
+
+    // editors fire several events per save, so changes to the same path are collapsed into one recount
+    function schedule(filepath) {
+        const key = filepath || '*';
+        clearTimeout(timers.get(key));
+        timers.set(key, setTimeout(async () => {
+            timers.delete(key);
+            if (filepath && files.has(filepath)) {
+                await count(filepath);
+            }
+            await rescan();
+            draw();
+        }, debounceMs));
+    }
+
+    function totals() {
+        const total = sumStats([...files.values()].map(entry => entry.stats));
+        return { total, delta: total.words - startWords };
+    }
+
+    function draw() {
+        const records = [...files.entries()].map(([filepath, entry]) => ({
+            ...entry.stats,
+            delta: formatDelta(entry.stats.words - entry.startWords),
+            status: entry.status,
+            file: filepath,
+        }));
+        const { total, delta } = totals();
+        records.push({ ...total, delta: formatDelta(delta), status: '', file: 'total' });
+
+        const table = toTable(records, [
+            ...columns,
+            { key: 'delta', label: 'Δ words' },
+            { key: 'status', label: 'status' },
+            { key: 'file', label: 'file' },
+        ]);
+        const lines = [
+            `word-counter --watch  ${new Date().toLocaleTimeString()}  (ctrl+c to stop)`,
+            '',
+            table,
+            '',
+            `${total.words} words, ${formatDelta(delta)} since the session started`,
+            ...lastErrors.map(error => `word-counter: ${error.path}: ${error.message}`),
+        ];
+        // redraw in place on a terminal, append a new block when the output is piped
+        output.write((output.isTTY ? '\x1b[2J\x1b[H' : '\n') + lines.join('\n') + '\n');
+    }
+
+    async function start() {
+        await rescan();
+        for (const entry of files.values()) {
+            entry.startWords = entry.stats.words;
+            entry.status = 'ok';
+        }
+        startWords = totals().total.words;
+        draw();
+
+        process.on('SIGINT', () => {
+            for (const watcher of watchers.values()) {
+                watcher.close();
+            }
+            const { total, delta } = totals();
+            output.write(`\nsession finished: ${total.words} words (${formatDelta(delta)})\n`);
+            process.exit(0);
+        });
+    }
+
+    return start();
+}
+
+module.exports = { watchInputs };
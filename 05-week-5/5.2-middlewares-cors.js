@@ -5,27 +5,52 @@
 // - Common use cases: logging, authentication, parsing request body, error handling, CORS
 
 const express = require('express');
+const { rateLimit } = require('../shared/rate-limiter');
+const { storeFromEnv } = require('../shared/rate-limit-store');
+const { UnauthorizedError, ValidationError, notFoundHandler, problemDetailsHandler } = require('../shared/http-errors');
+const { corsPolicy } = require('../shared/cors-policy');
+const { requestLogger, redact } = require('../shared/request-logger');
 const app = express();
 
 // 1. Application-level middleware (runs for all routes)
-// This middleware logs every request
-app.use((req, res, next) => {
-    console.log(`${req.method} ${req.url} - ${new Date().toISOString()}`);
-    next(); // Pass control to the next middleware
-});
+// This middleware logs every request: one JSON line with request id, status, latency and user,
+// secrets (authorization, cookies, passwords) are redacted; LOG_LEVEL=debug adds headers and body
+app.use(requestLogger());
 
 // 2. Built-in middleware
 // Parse JSON request bodies
 app.use(express.json());
 
+// CORS (Cross-Origin Resource Sharing)
+// CORS is a security feature that restricts web pages from making requests to a different domain
+// By default, browsers block cross-origin requests for security reasons
+// It has to be registered BEFORE the routes: a middleware added after a route never runs
+// for requests that route already answered
+app.use(corsPolicy({
+    // every route: only our own frontends, cookies/Authorization allowed
+    defaults: {
+        origins: ['http://localhost:3001', 'http://localhost:3002', 'https://myapp.com', 'https://*.myapp.com'],
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+        exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+        credentials: true, // Allow cookies
+        maxAge: 86400, // Cache preflight for 24 hours
+    },
+    routes: [
+        // public data can be read from any site, but never with credentials ("*" + credentials is refused)
+        { path: '/public', origins: '*', methods: ['GET'], credentials: false },
+    ],
+}));
+
 // 3. Custom middleware function (defined separately)
 function authMiddleware(req, res, next) {
     const token = req.headers.authorization;
     if (token === 'secret-token') {
         req.user = { id: 1, name: 'John Doe' };
+        req.auth = { sub: req.user.id };
         next(); // User is authenticated, proceed
     } else {
-        res.status(401).json({ error: 'Unauthorized' });
+        next(new UnauthorizedError('Unauthorized')); // handled by the error middleware below
     }
 }
 
@@ -39,12 +64,12 @@ const validateData = (req, res, next) => {
     if (req.body.name) {
         next();
     } else {
-        res.status(400).json({ error: 'Name is required' });
+        next(new ValidationError('Name is required', [{ path: 'name', message: 'Required' }]));
     }
 };
 
 const logData = (req, res, next) => {
-    console.log('Data received:', req.body);
+    req.log.debug('data received', { body: redact(req.body) }); // without passwords or tokens
     next();
 };
 
@@ -53,73 +78,31 @@ app.post('/user', validateData, logData, (req, res) => {
 });
 
 // 6. Middleware with parameters (middleware factory)
-function rateLimiter(maxRequests) {
-    const requests = {};
-    return (req, res, next) => {
-        const ip = req.ip;
-        requests[ip] = (requests[ip] || 0) + 1;
-        if (requests[ip] > maxRequests) {
-            res.status(429).json({ error: 'Too many requests' });
-        } else {
-            next();
-        }
-    };
-}
-
-app.get('/api/data', rateLimiter(5), (req, res) => {
+// rateLimit(options) returns a new middleware with its own counters, see shared/rate-limiter.js
+// here: 5 requests per IP in any 60 second window (the old counter never reset),
+// shared by every process pointing at the same RATE_LIMIT_SOCKET
+app.get('/api/data', rateLimit({ name: 'api-data', strategy: 'sliding-window', limit: 5, windowMs: 60 * 1000, store: storeFromEnv() }), (req, res) => {
     res.json({ data: 'Some data' });
 });
 
-// 7. Error-handling middleware (must have 4 parameters)
-app.use((err, req, res, next) => {
-    console.error('Error:', err.message);
-    res.status(500).json({ error: 'Internal server error' });
-});
-
 // Public route (no middleware)
 app.get('/public', (req, res) => {
     res.json({ message: 'Public data - no authentication needed' });
 });
 
+// 7. Error-handling middleware (must have 4 parameters, registered after all routes)
+// notFoundHandler turns unknown routes into a 404, problemDetailsHandler answers every error
+// (thrown, passed to next(), or a 429 from the rate limiter) as application/problem+json
+app.use(notFoundHandler);
+app.use(problemDetailsHandler());
+
 app.listen(3000, () => {
     console.log('Server running on port 3000');
 });
 
-// CORS (Cross-Origin Resource Sharing)
-// CORS is a security feature that restricts web pages from making requests to a different domain
-// By default, browsers block cross-origin requests for security reasons
-
-// Method 1: Manual CORS middleware - Allow all origins
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*'); // Allow all origins
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
-    }
-    next();
-});
-
-// Method 2: Manual CORS with multiple allowed origins
-const allowedOrigins = ['http://localhost:3001', 'http://localhost:3002', 'https://myapp.com'];
-
-app.use((req, res, next) => {
-    const origin = req.headers.origin;
-    if (allowedOrigins.includes(origin)) {
-        res.header('Access-Control-Allow-Origin', origin);
-    }
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-    res.header('Access-Control-Allow-Credentials', 'true'); // Allow cookies
-    res.header('Access-Control-Max-Age', '86400'); // Cache preflight for 24 hours
-
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
-    }
-    next();
-});
+// Other ways to do CORS (the policy above replaces the hand-written versions of these)
+// Method 1: Manual CORS middleware - Allow all origins -> { origins: '*' }
+// Method 2: Manual CORS with multiple allowed origins -> { origins: [...], credentials: true }
 
 // Method 3: Using cors package (recommended)
 // First install: npm install cors
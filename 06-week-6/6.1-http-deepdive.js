@@ -1,20 +1,130 @@
+const crypto = require('crypto');
+const Path = require('path');
 const express = require('express');
 const app = express();
 const cookieParser = require('cookie-parser');
 const jwt = require('jsonwebtoken');
-
+const { requestLogger } = require('../shared/request-logger');
+const { createKeyStore, createJwtSigner } = require('../shared/jwt-keystore');
+const { createLoginGuard, sendLockout, lockoutFields } = require('../shared/login-guard');
+const { createUserStore, publicUser } = require('./user-store');
+const { checkPasswordPolicy } = require('./password');
+const { createRefreshTokenStore, familyIdOf, REFRESH_TOKEN_TTL_MS } = require('./refresh-tokens');
+const { createRevocationStore } = require('./token-revocations');
+const { authorize, isRole, permissionsFor, ROLES } = require('./roles');
+const { createCsrfProtection } = require('./csrf');
+const { generateSecret, verifyTotp, otpauthUri, generateRecoveryCodes, hashRecoveryCode } = require('./totp');
+
+app.use(requestLogger());
 app.use(express.json());
 app.use(cookieParser());
 
-const users = [];
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// users live in data/users.json (USERS_FILE), passwords are scrypt hashes,
+// the user named ADMIN_USERNAME gets the admin role
+const userStore = createUserStore();
+// refresh token families live in data/refresh-tokens.json (REFRESH_TOKENS_FILE)
+const refreshTokens = createRefreshTokenStore();
+// access tokens revoked before they expire (by jti) live in data/revoked-tokens.json (REVOKED_TOKENS_FILE)
+const revokedTokens = createRevocationStore();
+const loginGuard = createLoginGuard({ auditFile: Path.join(__dirname, 'data', 'login-audit.log') });
+// 2FA: after the password, users with TOTP enabled get a short-lived "mfa pending" token for /signin/2fa
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Course App'; // the name shown in the authenticator app
+// double-submit CSRF tokens bound to the session, only checked for cookie-authenticated requests
+const csrf = createCsrfProtection();
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // short-lived, /token/refresh gets a new one
+// access tokens are signed with a rotating key pair, other services verify them with /.well-known/jwks.json
+const keyStore = createKeyStore({
+    file: Path.join(__dirname, 'data', 'jwt-keys-6.1.json'),
+    maxTokenTtlMs: ACCESS_TOKEN_TTL_MS,
+});
+// access tokens have aud "access" and every verify below requires it, the pending token between
+// password and second factor has aud "mfa" and only /signin/2fa accepts it (services verifying
+// with the JWKS must check aud too)
+const ACCESS_AUDIENCE = 'access';
+const MFA_AUDIENCE = 'mfa';
+const tokens = createJwtSigner(jwt, keyStore, { audience: ACCESS_AUDIENCE });
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-function generateToken(username) {
-    return jwt.sign({ username }, JWT_SECRET, { expiresIn: '1h' });
+// jti: unique token id, so this one token can be revoked; sid: the session (refresh token family) it belongs to;
+// roles/permissions tell the client what to show (admin panel or not), the server re-checks them per request
+function generateToken(user, sessionId) {
+    const claims = { username: user.username, roles: user.roles, permissions: permissionsFor(user.roles), sid: sessionId };
+    return tokens.sign(claims, {
+        expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
+        jwtid: crypto.randomUUID(),
+    });
+}
+
+const cookieOptions = {
+    httpOnly: true,  // Prevents JavaScript access (XSS protection)
+    secure: process.env.NODE_ENV === 'production',  // HTTPS only in production
+    sameSite: 'strict',  // CSRF protection
+};
+
+// access token in `token`, refresh token in `refreshToken` (httpOnly, never readable by page scripts)
+function setAuthCookies(res, accessToken, refreshToken) {
+    res.cookie('token', accessToken, { ...cookieOptions, maxAge: ACCESS_TOKEN_TTL_MS });
+    res.cookie('refreshToken', refreshToken, { ...cookieOptions, maxAge: REFRESH_TOKEN_TTL_MS });
+}
+
+/**
+ * Checks a TOTP code or a recovery code against the user's enabled 2FA and records its use on the
+ * user object (run it inside userStore.modify so the check and the write can't interleave):
+ * a TOTP step can't be used twice, a recovery code is deleted. Returns 'totp', 'recovery' or false.
+ */
+function useSecondFactor(user, { code, recoveryCode }) {
+    const mfa = user.mfa;
+    if (!mfa?.enabled) {
+        return false;
+    }
+    if (code) {
+        const step = verifyTotp(mfa.secret, code, { lastUsedStep: mfa.lastUsedStep });
+        if (step === null) {
+            return false;
+        }
+        mfa.lastUsedStep = step;
+        return 'totp';
+    }
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!recoveryCode || !mfa.recoveryCodeHashes.includes(hash)) {
+        return false;
+    }
+    mfa.recoveryCodeHashes = mfa.recoveryCodeHashes.filter(existing => existing !== hash);
+    return 'recovery';
+}
+
+function clearAuthCookies(res) {
+    res.clearCookie('token', cookieOptions);
+    res.clearCookie('refreshToken', cookieOptions);
+    csrf.clear(res);
+}
+
+// every signin starts a new session: a refresh token family (one per device/browser)
+async function startSession(req, res, user, extra = {}) {
+    const { token: refreshToken, familyId } = await refreshTokens.issue(user, {
+        userAgent: req.headers['user-agent'],
+        ip: req.ip,
+    });
+    const token = await generateToken(user, familyId);
+
+    // Set tokens in cookies (automatically sent with subsequent requests)
+    setAuthCookies(res, token, refreshToken);
+    const csrfToken = csrf.issue(res, familyId);
+
+    // Also return the access token in response body (for clients that prefer header-based auth)
+    res.status(200).json({
+        message: 'Signed in successfully',
+        token: token,
+        expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
+        csrfToken,
+        ...extra,
+        note: 'Access token is also set in an httpOnly cookie, the refresh token only there. '
+            + 'Cookie-authenticated POST/PUT/PATCH/DELETE requests need the csrfToken in the X-CSRF-Token header'
+    });
 }
 
 // ============================================
@@ -22,7 +132,7 @@ function generateToken(username) {
 // ============================================
 
 /**
- * Universal authentication middleware that checks for JWT tokens in multiple locations:
+ * Finds the JWT in multiple locations, returns { token, source } with source 'cookie', 'header' or 'query':
  * 1. Cookie (token)
  * 2. Authorization header (Bearer token)
  * 3. Custom header (x-auth-token)
@@ -30,25 +140,29 @@ function generateToken(username) {
  * 
  * Priority order: Cookie > Authorization Header > Custom Header > Query Parameter
  */
-function authenticateToken(req, res, next) {
-    let token = null;
-
+function tokenFromRequest(req) {
     // Priority 1: Check cookie (most secure with httpOnly)
     if (req.cookies?.token) {
-        token = req.cookies.token;
+        return { token: req.cookies.token, source: 'cookie' };
     }
     // Priority 2: Check Authorization Bearer header
-    else if (req.headers.authorization?.startsWith('Bearer ')) {
-        token = req.headers.authorization.split(' ')[1];
+    if (req.headers.authorization?.startsWith('Bearer ')) {
+        return { token: req.headers.authorization.split(' ')[1], source: 'header' };
     }
     // Priority 3: Check custom header
-    else if (req.headers['x-auth-token']) {
-        token = req.headers['x-auth-token'];
+    if (req.headers['x-auth-token']) {
+        return { token: req.headers['x-auth-token'], source: 'header' };
     }
     // Priority 4: Check query parameter (least secure)
-    else if (req.query.token) {
-        token = req.query.token;
-    }
+    return { token: req.query.token || null, source: 'query' };
+}
+
+const csrfProtection = csrf.protect(req => req.tokenData.sid);
+
+// Universal authentication middleware: accepts the token from any of the locations above,
+// state-changing requests authenticated by cookie also need a valid X-CSRF-Token header
+async function authenticateToken(req, res, next) {
+    const { token, source } = tokenFromRequest(req);
 
     // No token found anywhere
     if (!token) {
@@ -59,74 +173,205 @@ function authenticateToken(req, res, next) {
     }
 
     // Verify token
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = users.find(u => u.username === decoded.username);
-
-        if (!user) {
-            return res.status(401).json({ message: 'User not found' });
-        }
-
-        // Attach user info to request object for use in route handlers
-        req.user = user;
-        req.tokenData = decoded;
-        next();
+        decoded = await tokens.verify(token);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({ message: 'Token expired' });
         }
+        // most likely the mfaToken from /signin sent as an access token
+        if (error.message.startsWith('jwt audience invalid')) {
+            return res.status(401).json({ message: 'Not an access token. Two-factor authentication not completed? POST your code to /signin/2fa' });
+        }
         return res.status(401).json({ message: 'Invalid token' });
     }
+
+    // a valid signature is not enough: the token (logout) or its whole session (/sessions) may be revoked
+    if (!decoded.jti || await revokedTokens.isRevoked(decoded.jti)) {
+        return res.status(401).json({ message: 'Token has been revoked' });
+    }
+    if (!decoded.sid || !(await refreshTokens.isSessionActive(decoded.sid))) {
+        return res.status(401).json({ message: 'Session has been revoked or has expired' });
+    }
+
+    const user = await userStore.findByUsername(decoded.username);
+
+    if (!user) {
+        return res.status(401).json({ message: 'User not found' });
+    }
+
+    // Attach user info to request object for use in route handlers
+    req.user = publicUser(user);
+    req.auth = { sub: user.id };
+    req.tokenData = decoded;
+    req.authSource = source;
+    csrfProtection(req, res, next);
 }
 
 // ============================================
 // PUBLIC ROUTES (No authentication required)
 // ============================================
 
-app.post('/signup', (req, res) => {
+// public keys that verify our access tokens (current + retired ones whose tokens may not have expired yet)
+app.get('/.well-known/jwks.json', async (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(await keyStore.jwks());
+});
+
+app.post('/signup', async (req, res) => {
     const { username, password } = req.body;
 
-    if (!username || !password) {
+    if (typeof username !== 'string' || !username.trim() || !password) {
         return res.status(400).json({ message: 'Username and password are required' });
     }
+    const problems = checkPasswordPolicy(password, username.trim());
+    if (problems.length > 0) {
+        return res.status(400).json({ message: 'Password does not meet the policy', problems });
+    }
 
-    const existingUser = users.find(user => user.username === username);
-    if (existingUser) {
+    // null when the username is taken (case-insensitive: "Alice" blocks "alice")
+    const user = await userStore.create({ username, password });
+    if (!user) {
         return res.status(409).json({ message: 'User already exists' });
     }
-
-    users.push({ username, password });
     res.status(201).json({ message: 'User created successfully' });
 });
 
-app.post('/signin', (req, res) => {
+app.post('/signin', async (req, res) => {
     const { username, password } = req.body;
-    const foundUser = users.find(user => user.username === username && user.password === password);
+    const attempt = { account: username, ip: req.ip, userAgent: req.headers['user-agent'] };
+
+    const lock = loginGuard.blocked(attempt);
+    if (lock) {
+        return sendLockout(res, lock);
+    }
+
+    const foundUser = await userStore.verifyCredentials(username, password);
 
     if (!foundUser) {
-        return res.status(401).json({ message: 'Invalid username or password' });
+        const { lockout } = loginGuard.recordFailure(attempt);
+        return res.status(401).json({
+            message: 'Invalid username or password',
+            ...lockoutFields(lockout),
+        });
     }
 
-    const token = generateToken(foundUser.username);
+    if (foundUser.mfa?.enabled) {
+        // the failed attempts are only cleared once the second factor is right too, otherwise
+        // knowing the password would reset the lockout for guessing codes
+        const mfaToken = await tokens.sign(
+            { username: foundUser.username },
+            { audience: MFA_AUDIENCE, expiresIn: MFA_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() },
+        );
+        return res.status(200).json({
+            message: 'Enter the code from your authenticator app',
+            mfaRequired: true,
+            mfaToken,
+            expiresIn: MFA_TOKEN_TTL_SECONDS,
+            next: 'POST /signin/2fa with { mfaToken, code } or { mfaToken, recoveryCode }'
+        });
+    }
+    loginGuard.recordSuccess(attempt);
+    await startSession(req, res, foundUser);
+});
 
-    // Set token in cookie (automatically sent with subsequent requests)
-    res.cookie('token', token, {
-        httpOnly: true,  // Prevents JavaScript access (XSS protection)
-        secure: process.env.NODE_ENV === 'production',  // HTTPS only in production
-        sameSite: 'strict',  // CSRF protection
-        maxAge: 3600000  // 1 hour
-    });
+// second step of the signin for users with 2FA: the pending token from /signin + a TOTP or recovery code
+app.post('/signin/2fa', async (req, res) => {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+    let pending = null;
+    try {
+        pending = await tokens.verify(mfaToken, { audience: MFA_AUDIENCE });
+    } catch {
+        // expired or invalid, handled below
+    }
+    if (!pending || await revokedTokens.isRevoked(pending.jti)) {
+        return res.status(401).json({ message: 'Invalid or expired sign-in, please sign in again' });
+    }
 
-    // Also return token in response body (for clients that prefer header-based auth)
-    res.status(200).json({
-        message: 'Signed in successfully',
-        token: token,
-        note: 'Token is also set in httpOnly cookie'
-    });
+    const attempt = { account: pending.username, ip: req.ip, userAgent: req.headers['user-agent'] };
+    const lock = loginGuard.blocked(attempt);
+    if (lock) {
+        return sendLockout(res, lock);
+    }
+
+    const user = await userStore.findByUsername(pending.username);
+    const factor = user && await userStore.modify(user.id, stored => useSecondFactor(stored, { code, recoveryCode }));
+    if (!factor) {
+        const { lockout } = loginGuard.recordFailure({ ...attempt, reason: 'invalid 2fa code' });
+        return res.status(401).json({
+            message: 'Invalid authentication code',
+            ...lockoutFields(lockout),
+        });
+    }
+    // one pending token, one signin
+    await revokedTokens.revoke(pending.jti, pending.exp);
+    loginGuard.recordSuccess(attempt);
+
+    const signedIn = await userStore.findById(user.id);
+    const extra = factor === 'recovery'
+        ? { recoveryCodesLeft: signedIn.mfa.recoveryCodeHashes.length }
+        : {};
+    await startSession(req, res, signedIn, extra);
+});
+
+// swaps the refresh token cookie for a new access token + a new refresh token (rotation),
+// the old refresh token stops working; presenting it again revokes the whole family
+app.post('/token/refresh', async (req, res) => {
+    // the refresh token only ever comes from a cookie, so this is always a CSRF target
+    const csrfProblem = csrf.check(req, familyIdOf(req.cookies?.refreshToken));
+    if (req.cookies?.refreshToken && csrfProblem) {
+        return res.status(403).json({ message: 'Forbidden', reason: csrfProblem });
+    }
+    const result = await refreshTokens.rotate(req.cookies?.refreshToken);
+    if (result.error) {
+        clearAuthCookies(res);
+        const messages = {
+            invalid: 'Invalid or expired refresh token, please sign in again',
+            revoked: 'This session was revoked, please sign in again',
+            reused: 'Refresh token reuse detected, this session was revoked, please sign in again',
+        };
+        if (result.error === 'reused') {
+            req.log.warn('refresh token reuse detected', { familyId: result.familyId });
+        }
+        return res.status(401).json({ message: messages[result.error] });
+    }
+
+    const user = await userStore.findById(result.userId);
+    if (!user) {
+        await refreshTokens.revokeByToken(result.token, 'user deleted');
+        clearAuthCookies(res);
+        return res.status(401).json({ message: 'User not found' });
+    }
+
+    const token = await generateToken(user, result.familyId);
+    setAuthCookies(res, token, result.token);
+    res.json({ message: 'Token refreshed', token, expiresIn: ACCESS_TOKEN_TTL_MS / 1000 });
 });
 
-app.post('/logout', (req, res) => {
-    res.clearCookie('token');
+// revokes the access token and the refresh token family server-side, stolen copies of either are useless afterwards
+app.post('/logout', async (req, res) => {
+    const { token: accessToken, source } = tokenFromRequest(req);
+    let decoded = null;
+    try {
+        decoded = accessToken && await tokens.verify(accessToken);
+    } catch {
+        // expired or invalid, nothing to revoke
+    }
+    // a forged logout is mostly an annoyance, but it is still a state change made with the user's cookies
+    if (source === 'cookie' || (!accessToken && req.cookies?.refreshToken)) {
+        const csrfProblem = csrf.check(req, decoded?.sid || familyIdOf(req.cookies?.refreshToken));
+        if (csrfProblem) {
+            return res.status(403).json({ message: 'Forbidden', reason: csrfProblem });
+        }
+    }
+    if (decoded?.jti) {
+        await revokedTokens.revoke(decoded.jti, decoded.exp);
+    }
+    if (req.cookies?.refreshToken) {
+        await refreshTokens.revokeByToken(req.cookies.refreshToken, 'logout');
+    }
+    clearAuthCookies(res);
     res.json({ message: 'Logged out successfully' });
 });
 
@@ -134,16 +379,23 @@ app.post('/logout', (req, res) => {
 // PROTECTED ROUTES (Authentication required)
 // ============================================
 
+// a fresh CSRF token for this session (also set as the csrfToken cookie), e.g. after a server restart
+app.get('/csrf-token', authenticateToken, (req, res) => {
+    res.json({ csrfToken: csrf.issue(res, req.tokenData.sid), headerName: 'X-CSRF-Token' });
+});
+
 // Get current user info - works with ANY authentication method
 app.get('/me', authenticateToken, (req, res) => {
     res.json({
         username: req.user.username,
+        roles: req.user.roles,
+        permissions: permissionsFor(req.user.roles),
         tokenExpiry: new Date(req.tokenData.exp * 1000).toISOString()
     });
 });
 
 // Dashboard - works with ANY authentication method
-app.get('/dashboard', authenticateToken, (req, res) => {
+app.get('/dashboard', authenticateToken, authorize('profile:read'), (req, res) => {
     res.json({
         message: 'Welcome to your dashboard',
         username: req.user.username,
@@ -152,7 +404,7 @@ app.get('/dashboard', authenticateToken, (req, res) => {
 });
 
 // Example: Get user profile
-app.get('/profile', authenticateToken, (req, res) => {
+app.get('/profile', authenticateToken, authorize('profile:read'), (req, res) => {
     res.json({
         username: req.user.username,
         accountCreated: 'Recently',
@@ -161,7 +413,7 @@ app.get('/profile', authenticateToken, (req, res) => {
 });
 
 // Example: Update user settings (protected POST route)
-app.post('/settings', authenticateToken, (req, res) => {
+app.post('/settings', authenticateToken, authorize('settings:write'), (req, res) => {
     const { setting, value } = req.body;
     res.json({
         message: 'Settings updated',
@@ -170,6 +422,227 @@ app.post('/settings', authenticateToken, (req, res) => {
     });
 });
 
+// ============================================
+// TWO-FACTOR AUTHENTICATION (TOTP, RFC 6238)
+// ============================================
+
+// step 1: a new secret, shown as an otpauth:// URI (QR code) - not active until confirmed with a code
+app.post('/2fa/setup', authenticateToken, async (req, res) => {
+    if (req.user.mfaEnabled) {
+        return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    const secret = generateSecret();
+    await userStore.modify(req.user.id, user => {
+        user.mfa = { enabled: false, pendingSecret: secret };
+    });
+    res.json({
+        secret,
+        otpauthUri: otpauthUri({ secret, account: req.user.username, issuer: MFA_ISSUER }),
+        next: 'Add it to your authenticator app, then POST a code to /2fa/enable'
+    });
+});
+
+// step 2: a code from the app proves it was set up correctly, 2FA is on from now and the
+// recovery codes are shown - this one time only
+app.post('/2fa/enable', authenticateToken, async (req, res) => {
+    const result = await userStore.modify(req.user.id, user => {
+        if (user.mfa?.enabled) {
+            return { status: 409, message: 'Two-factor authentication is already enabled' };
+        }
+        if (!user.mfa?.pendingSecret) {
+            return { status: 400, message: 'Start with POST /2fa/setup' };
+        }
+        const step = verifyTotp(user.mfa.pendingSecret, req.body?.code);
+        if (step === null) {
+            return { status: 400, message: 'Invalid authentication code, check the time on your phone' };
+        }
+        const recoveryCodes = generateRecoveryCodes();
+        user.mfa = {
+            enabled: true,
+            secret: user.mfa.pendingSecret,
+            lastUsedStep: step,
+            recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+            enabledAt: new Date().toISOString(),
+        };
+        return { status: 200, recoveryCodes };
+    });
+    if (result.status !== 200) {
+        return res.status(result.status).json({ message: result.message });
+    }
+    res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes: result.recoveryCodes,
+        note: 'Store the recovery codes somewhere safe, each one works once if you lose your phone'
+    });
+});
+
+// needs the password and a current code (or a recovery code), a stolen session alone can't turn 2FA off
+app.post('/2fa/disable', authenticateToken, async (req, res) => {
+    const { password, code, recoveryCode } = req.body || {};
+    const attempt = { account: req.user.username, ip: req.ip, userAgent: req.headers['user-agent'] };
+    const lock = loginGuard.blocked(attempt);
+    if (lock) {
+        return sendLockout(res, lock);
+    }
+    if (!req.user.mfaEnabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const passwordValid = await userStore.verifyCredentials(req.user.username, password);
+    const disabled = passwordValid && await userStore.modify(req.user.id, user => {
+        if (!useSecondFactor(user, { code, recoveryCode })) {
+            return false;
+        }
+        delete user.mfa;
+        return true;
+    });
+    if (!disabled) {
+        loginGuard.recordFailure({ ...attempt, reason: 'invalid 2fa disable attempt' });
+        return res.status(401).json({ message: 'Invalid password or authentication code' });
+    }
+    res.json({ message: 'Two-factor authentication disabled' });
+});
+
+// ============================================
+// COURSES (user vs admin capabilities, see roles.js)
+// ============================================
+
+// kept in memory, this is about who may call what, not about storing courses
+const courses = new Map(); // id -> { id, title, description, price, creatorId }
+const purchases = new Map(); // userId -> Set of course ids
+
+function courseFromBody(body) {
+    const { title, description = '', price } = body || {};
+    if (typeof title !== 'string' || !title.trim() || typeof price !== 'number' || price < 0) {
+        return null;
+    }
+    return { title: title.trim(), description: String(description), price };
+}
+
+app.get('/course/preview', (req, res) => {
+    res.json({ courses: [...courses.values()] });
+});
+
+app.post('/course/purchase', authenticateToken, authorize('course:purchase'), (req, res) => {
+    if (!courses.has(req.body?.courseId)) {
+        return res.status(404).json({ message: 'Course not found' });
+    }
+    const owned = purchases.get(req.user.id) || new Set();
+    purchases.set(req.user.id, owned.add(req.body.courseId));
+    res.status(201).json({ message: 'Course purchased', courseId: req.body.courseId });
+});
+
+app.get('/user/purchases', authenticateToken, authorize('purchases:read'), (req, res) => {
+    const owned = [...(purchases.get(req.user.id) || [])];
+    res.json({ purchases: owned.map(id => courses.get(id)).filter(Boolean) });
+});
+
+// the admin's own courses
+app.get('/admin/course/bulk', authenticateToken, authorize('course:write'), (req, res) => {
+    res.json({ courses: [...courses.values()].filter(course => course.creatorId === req.user.id) });
+});
+
+app.post('/admin/course', authenticateToken, authorize('course:write'), (req, res) => {
+    const fields = courseFromBody(req.body);
+    if (!fields) {
+        return res.status(400).json({ message: 'title (non-empty string) and price (number >= 0) are required' });
+    }
+    const course = { id: crypto.randomUUID(), ...fields, creatorId: req.user.id };
+    courses.set(course.id, course);
+    res.status(201).json({ message: 'Course created', course });
+});
+
+app.put('/admin/course/:id', authenticateToken, authorize('course:write'), (req, res) => {
+    const course = courses.get(req.params.id);
+    if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+    }
+    const fields = courseFromBody(req.body);
+    if (!fields) {
+        return res.status(400).json({ message: 'title (non-empty string) and price (number >= 0) are required' });
+    }
+    Object.assign(course, fields);
+    res.json({ message: 'Course updated', course });
+});
+
+app.delete('/admin/course/:id', authenticateToken, authorize('course:write'), (req, res) => {
+    if (!courses.delete(req.params.id)) {
+        return res.status(404).json({ message: 'Course not found' });
+    }
+    res.json({ message: 'Course deleted' });
+});
+
+// ============================================
+// ADMIN: ROLE MANAGEMENT
+// ============================================
+
+app.get('/admin/users', authenticateToken, authorize('users:manage'), async (req, res) => {
+    const users = await userStore.list();
+    res.json({ users: users.map(publicUser), roles: ROLES });
+});
+
+// grant a role: { "role": "admin" }
+app.post('/admin/users/:id/roles', authenticateToken, authorize('users:manage'), async (req, res) => {
+    const role = req.body?.role;
+    if (!isRole(role)) {
+        return res.status(400).json({ message: `Unknown role, use one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+    const user = await userStore.grantRole(req.params.id, role);
+    if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    req.log.info('role granted', { targetUserId: user.id, role });
+    res.json({ message: `Role "${role}" granted`, user: publicUser(user) });
+});
+
+app.delete('/admin/users/:id/roles/:role', authenticateToken, authorize('users:manage'), async (req, res) => {
+    const { id, role } = req.params;
+    if (!isRole(role)) {
+        return res.status(400).json({ message: `Unknown role, use one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+    // an admin removing their own admin role could leave nobody able to manage users
+    if (id === req.user.id && role === 'admin') {
+        return res.status(400).json({ message: 'You cannot revoke your own admin role, ask another admin' });
+    }
+    const user = await userStore.revokeRole(id, role);
+    if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    req.log.info('role revoked', { targetUserId: user.id, role });
+    res.json({ message: `Role "${role}" revoked`, user: publicUser(user) });
+});
+
+// ============================================
+// SESSIONS (one per signin, see refresh-tokens.js)
+// ============================================
+
+// the user's active sessions: device (user agent), IP and when it was signed in / last refreshed
+app.get('/sessions', authenticateToken, async (req, res) => {
+    const sessions = await refreshTokens.listSessions(req.user.id);
+    res.json({
+        sessions: sessions.map(session => ({ ...session, current: session.id === req.tokenData.sid })),
+    });
+});
+
+// sign out one device: its refresh token and every access token of that session stop working
+app.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    const revoked = await refreshTokens.revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+        return res.status(404).json({ message: 'Session not found' });
+    }
+    if (req.params.id === req.tokenData.sid) {
+        clearAuthCookies(res);
+    }
+    res.json({ message: 'Session revoked' });
+});
+
+// sign out everywhere, including this session
+app.delete('/sessions', authenticateToken, async (req, res) => {
+    const count = await refreshTokens.revokeAllSessions(req.user.id);
+    clearAuthCookies(res);
+    res.json({ message: `Revoked ${count} session(s)` });
+});
+
 // ============================================
 // DEMO ROUTES (showing different auth methods)
 // ============================================
@@ -177,27 +650,27 @@ app.post('/settings', authenticateToken, (req, res) => {
 // These routes are just for demonstration purposes
 // In production, you'd just use the unified middleware above
 
-app.get('/demo/cookie-only', (req, res) => {
+app.get('/demo/cookie-only', async (req, res) => {
     const token = req.cookies?.token;
     if (!token) {
         return res.status(401).json({ message: 'Cookie authentication only - no token in cookie' });
     }
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await tokens.verify(token);
         res.json({ message: 'Authenticated via Cookie', username: decoded.username });
     } catch (error) {
         res.status(401).json({ message: 'Invalid token' });
     }
 });
 
-app.get('/demo/bearer-only', (req, res) => {
+app.get('/demo/bearer-only', async (req, res) => {
     const authHeader = req.headers.authorization;
     if (!authHeader?.startsWith('Bearer ')) {
         return res.status(401).json({ message: 'Bearer authentication only - send "Authorization: Bearer <token>"' });
     }
     const token = authHeader.split(' ')[1];
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await tokens.verify(token);
         res.json({ message: 'Authenticated via Bearer token', username: decoded.username });
     } catch (error) {
         res.status(401).json({ message: 'Invalid token' });
@@ -208,11 +681,16 @@ app.get('/demo/bearer-only', (req, res) => {
 // SERVER
 // ============================================
 
-app.listen(3000, () => {
-    console.log('Server is running on port 3000');
-    console.log('\n📚 Authentication Methods Supported:');
-    console.log('  1. Cookie (httpOnly) - Automatically sent by browser');
-    console.log('  2. Authorization: Bearer <token>');
-    console.log('  3. x-auth-token: <token>');
-    console.log('  4. Query parameter: ?token=<token> (not recommended)\n');
-});
\ No newline at end of file
+// the tests (test/auth-chain.test.js) require the app and listen on a port of their own
+if (require.main === module) {
+    app.listen(3000, () => {
+        console.log('Server is running on port 3000');
+        console.log('\n📚 Authentication Methods Supported:');
+        console.log('  1. Cookie (httpOnly) - Automatically sent by browser');
+        console.log('  2. Authorization: Bearer <token>');
+        console.log('  3. x-auth-token: <token>');
+        console.log('  4. Query parameter: ?token=<token> (not recommended)\n');
+    });
+}
+
+module.exports = app;
\ No newline at end of file
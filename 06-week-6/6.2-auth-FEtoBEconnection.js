@@ -1,18 +1,32 @@
+const Path = require('path');
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const { requestLogger } = require('../shared/request-logger');
+const { createKeyStore, createJwtSigner } = require('../shared/jwt-keystore');
+const { createLoginGuard, sendLockout, lockoutFields } = require('../shared/login-guard');
+const { createUserStore } = require('./user-store');
+const { checkPasswordPolicy } = require('./password');
 const app = express();
 const port = 3000;
-const users = [];
-const JWT_SECRET = 'secret-key';
+// users live in data/users.json (USERS_FILE), passwords are scrypt hashes
+const userStore = createUserStore();
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const keyStore = createKeyStore({
+    file: Path.join(__dirname, 'data', 'jwt-keys-6.2.json'),
+    maxTokenTtlMs: TOKEN_TTL_MS,
+});
+const tokens = createJwtSigner(jwt, keyStore);
+const loginGuard = createLoginGuard({ auditFile: Path.join(__dirname, 'data', 'login-audit.log') });
 
+app.use(requestLogger());
 // Enable CORS for frontend requests
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public')); // Serve static files from public folder
 
 // Middleware to authenticate JWT token
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -21,46 +35,61 @@ function authenticateToken(req, res, next) {
     }
 
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
+        req.user = await tokens.verify(token);
+        req.auth = { sub: req.user.username };
     } catch (error) {
         return res.status(403).json({ message: 'Invalid or expired token' });
     }
+    next();
 }
 app.get('/', (req, res) => {
     res.sendFile(__dirname + '/public/index.html');
 });
-app.post('/signup', (req, res) => {
+app.get('/.well-known/jwks.json', async (req, res) => {
+    res.json(await keyStore.jwks());
+});
+app.post('/signup', async (req, res) => {
     const { username, password } = req.body;
 
-    if (!username || !password) {
+    if (typeof username !== 'string' || !username.trim() || !password) {
         return res.status(400).json({ message: 'Username and password are required' });
     }
+    const problems = checkPasswordPolicy(password, username.trim());
+    if (problems.length > 0) {
+        return res.status(400).json({ message: 'Password does not meet the policy', problems });
+    }
 
-
-    const existingUser = users.find(user => user.username === username);
-    if (existingUser) {
+    const user = await userStore.create({ username, password });
+    if (!user) {
         return res.status(409).json({ message: 'User already exists' });
     }
-
-    users.push({ username, password });
     res.status(201).json({ message: 'User created successfully' });
 });
 
-app.post('/signin', (req, res) => {
+app.post('/signin', async (req, res) => {
     const { username, password } = req.body;
 
     if (!username || !password) {
         return res.status(400).json({ message: 'Username and password are required' });
     }
 
-    const user = users.find(user => user.username === username && user.password === password);
+    const attempt = { account: username, ip: req.ip, userAgent: req.headers['user-agent'] };
+    const lock = loginGuard.blocked(attempt);
+    if (lock) {
+        return sendLockout(res, lock);
+    }
+
+    const user = await userStore.verifyCredentials(username, password);
     if (!user) {
-        return res.status(401).json({ message: 'Invalid username or password' });
+        const { lockout } = loginGuard.recordFailure(attempt);
+        return res.status(401).json({
+            message: 'Invalid username or password',
+            ...lockoutFields(lockout),
+        });
     }
+    loginGuard.recordSuccess(attempt);
 
-    const token = jwt.sign({ username }, JWT_SECRET, { expiresIn: '24h' });
+    const token = await tokens.sign({ username: user.username }, { expiresIn: TOKEN_TTL_MS / 1000 });
     res.json({ token, message: 'Signed in successfully' });
 });
 
@@ -44,6 +44,22 @@ async function cookieBasedAuth() {
     
     const dashboardData = await dashboardResponse.json();
     console.log('✅ Dashboard (via cookie):', dashboardData);
+
+    // Step 4: Change something (POST/PUT/PATCH/DELETE)
+    // With cookie auth the server also wants the CSRF token from the signin response
+    // (or GET /csrf-token) in a header - another site can't read it, so it can't forge this request
+    const settingsResponse = await fetch(`${BASE_URL}/settings`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': signinData.csrfToken
+        },
+        body: JSON.stringify({ setting: 'theme', value: 'dark' }),
+        credentials: 'include'
+    });
+
+    const settingsData = await settingsResponse.json();
+    console.log('✅ Settings (via cookie + CSRF token):', settingsData);
 }
 
 // ============================================
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * CSRF protection with signed double-submit cookies.
+ *
+ * A browser attaches cookies to every request, also to a form another site posts to us. The page
+ * itself can read the (non-httpOnly) `csrfToken` cookie and echo it in the X-CSRF-Token header, a
+ * different origin can neither read the cookie nor set that header, so a missing or different header
+ * means the request was forged.
+ *
+ * The token is `<nonce>.<hmac(secret, sessionId.nonce)>`, bound to the session: a cookie planted by a
+ * sibling subdomain (or left over from another login) does not validate.
+ *
+ * Only requests authenticated by a cookie need this. A Bearer / x-auth-token header is never sent
+ * automatically, a forged request cannot carry one.
+ *
+ * CSRF_SECRET defaults to a random value per process: after a restart clients fetch a new token.
+ */
+function createCsrfProtection({
+    secret = process.env.CSRF_SECRET || crypto.randomBytes(32).toString('hex'),
+    cookieName = 'csrfToken',
+    headerName = 'x-csrf-token',
+    cookieOptions = {},
+} = {}) {
+    const sign = (sessionId, nonce) => crypto.createHmac('sha256', secret).update(`${sessionId}.${nonce}`).digest('base64url');
+
+    // creates a token for the session and puts it in the cookie, the page reads it from there or from the response
+    function issue(res, sessionId) {
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const token = `${nonce}.${sign(sessionId, nonce)}`;
+        res.cookie(cookieName, token, {
+            httpOnly: false, // the page has to read it
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            ...cookieOptions,
+        });
+        return token;
+    }
+
+    function clear(res) {
+        res.clearCookie(cookieName, { sameSite: 'strict', secure: process.env.NODE_ENV === 'production', ...cookieOptions });
+    }
+
+    // null when the request is fine, otherwise why it is not
+    function check(req, sessionId) {
+        if (SAFE_METHODS.has(req.method)) {
+            return null;
+        }
+        const header = req.headers[headerName];
+        const cookie = req.cookies?.[cookieName];
+        if (!header || !cookie) {
+            return `Missing CSRF token: send the ${cookieName} cookie's value in the ${headerName} header`;
+        }
+        const [nonce, signature] = String(header).split('.');
+        const matches = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+        if (!matches(Buffer.from(String(header)), Buffer.from(String(cookie)))
+            || !nonce || !signature || !sessionId
+            || !matches(Buffer.from(signature), Buffer.from(sign(sessionId, nonce)))) {
+            return 'Invalid CSRF token, fetch a new one from /csrf-token';
+        }
+        return null;
+    }
+
+    /**
+     * Middleware for routes behind an auth middleware that sets req.authSource ('cookie' for cookie auth)
+     * and the session id (getSessionId(req)). Requests authenticated by a header pass untouched.
+     */
+    function protect(getSessionId) {
+        return function csrfMiddleware(req, res, next) {
+            if (req.authSource !== 'cookie') {
+                return next();
+            }
+            const reason = check(req, getSessionId(req));
+            if (reason) {
+                req.log?.warn('csrf check failed', { reason, origin: req.headers.origin });
+                return res.status(403).json({ message: 'Forbidden', reason });
+            }
+            next();
+        };
+    }
+
+    return { issue, clear, check, protect };
+}
+
+module.exports = { createCsrfProtection };
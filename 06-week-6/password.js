@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with every hash so they can be raised later without breaking old hashes
+const SCRYPT_PARAMS = { N: 2 ** 14, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with scrypt (built into node, slow on purpose so stolen hashes are expensive to crack).
+ * Result format: scrypt$N$r$p$<salt base64>$<hash base64>
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [algorithm, N, r, p, salt, hash] = String(stored).split('$');
+    if (algorithm !== 'scrypt' || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+    // constant time compare, a normal === leaks how many bytes matched
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// a plaintext password from before the hashes: both sides are digested first, timingSafeEqual needs
+// equal lengths and comparing the raw strings would reveal the stored password's length
+function verifyLegacyPassword(password, stored) {
+    // a record with no password at all must not accept "undefined"
+    if (typeof stored !== 'string' || typeof password !== 'string') {
+        return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(password), digest(stored));
+}
+
+// computed right away (in the background), so even the first unknown user costs no extra hash
+const dummyHash = hashPassword(crypto.randomBytes(32).toString('base64'));
+
+/**
+ * Does the same scrypt work as verifyPassword against a hash no password matches, always false.
+ * Used when the user does not exist: the response then takes as long as a wrong password for a real
+ * user, so timing does not tell an attacker which usernames exist.
+ */
+async function verifyDummyPassword(password) {
+    await verifyPassword(String(password ?? ''), await dummyHash);
+    return false;
+}
+
+// true when the hash was made with weaker parameters than the current ones
+function needsRehash(stored) {
+    const [algorithm, N, r, p] = String(stored).split('$');
+    return algorithm !== 'scrypt'
+        || Number(N) < SCRYPT_PARAMS.N
+        || Number(r) < SCRYPT_PARAMS.r
+        || Number(p) < SCRYPT_PARAMS.p;
+}
+
+/**
+ * Password policy for signup: returns a list of problems, empty when the password is fine.
+ * Length matters most, so: 8-128 characters, at least one letter and one digit, not the username.
+ */
+function checkPasswordPolicy(password, username = '') {
+    const problems = [];
+    if (typeof password !== 'string') {
+        return ['Password is required'];
+    }
+    if (password.length < 8) {
+        problems.push('Password must be at least 8 characters long');
+    }
+    if (password.length > 128) {
+        problems.push('Password must be at most 128 characters long');
+    }
+    if (!/\p{L}/u.test(password) || !/\p{N}/u.test(password)) {
+        problems.push('Password must contain at least one letter and one digit');
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+        problems.push('Password must not contain the username');
+    }
+    return problems;
+}
+
+module.exports = { hashPassword, verifyPassword, verifyLegacyPassword, verifyDummyPassword, needsRehash, checkPasswordPolicy };
@@ -0,0 +1,175 @@
+const Path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('../shared/json-store');
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days, renewed on every rotation
+// rotated-out token hashes are kept this long to recognise a replay
+const USED_TOKEN_HISTORY = 50;
+
+// the family (session) a refresh token belongs to, without checking the token
+function familyIdOf(token) {
+    return String(token || '').split('.')[0] || null;
+}
+
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('base64url');
+}
+
+// the id comes from the client's token, "__proto__" or "constructor" must not find anything
+function findFamily(families, familyId) {
+    return Object.hasOwn(families, familyId) ? families[familyId] : null;
+}
+
+/**
+ * Refresh tokens with rotation and reuse detection.
+ *
+ * Every signin starts a token "family". A refresh token is `<familyId>.<secret>`, only the sha256
+ * of the secret is stored. Each refresh hands out a new token and moves the old one to the family's
+ * used list. Presenting a used token means it was copied (an attacker or the real user is
+ * replaying an old one), we can't tell who is who, so the whole family is revoked and both have
+ * to sign in again.
+ *
+ * A family is also what the user sees as a "session" (one per signin / device), revoking it ends the
+ * session: the refresh token stops working and so do access tokens carrying its id in `sid`.
+ *
+ * Stored in REFRESH_TOKENS_FILE (default data/refresh-tokens.json), revocations survive a restart.
+ */
+function createRefreshTokenStore({ file = process.env.REFRESH_TOKENS_FILE || Path.join(__dirname, 'data', 'refresh-tokens.json') } = {}) {
+    const store = createJsonStore(file, () => ({ families: {} }));
+
+    function newToken(family) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        family.currentHash = hashToken(secret);
+        family.expiresAt = Date.now() + REFRESH_TOKEN_TTL_MS;
+        return `${family.id}.${secret}`;
+    }
+
+    // drops families that expired or were revoked more than a TTL ago, so the file doesn't grow forever
+    function prune(families) {
+        const now = Date.now();
+        for (const [id, family] of Object.entries(families)) {
+            const revokedLongAgo = family.revokedAt && now - Date.parse(family.revokedAt) > REFRESH_TOKEN_TTL_MS;
+            if (family.expiresAt < now || revokedLongAgo) {
+                delete families[id];
+            }
+        }
+    }
+
+    // starts a new family for a signin, resolves with the first refresh token
+    function issue(user, { userAgent, ip } = {}) {
+        return store.mutate(doc => {
+            prune(doc.families);
+            const family = {
+                id: crypto.randomUUID(),
+                userId: user.id,
+                username: user.username,
+                userAgent,
+                ip,
+                createdAt: new Date().toISOString(),
+                usedHashes: [],
+                revokedAt: null,
+            };
+            const token = newToken(family);
+            doc.families[family.id] = family;
+            return { token, familyId: family.id };
+        });
+    }
+
+    /**
+     * Swaps a refresh token for the next one.
+     * Resolves { token, familyId, userId, username } or { error } with error one of
+     * 'invalid' (unknown / malformed / expired), 'revoked' or 'reused' (family just revoked).
+     */
+    function rotate(token) {
+        const [familyId, secret] = String(token || '').split('.');
+        return store.mutate(doc => {
+            const family = familyId && secret ? findFamily(doc.families, familyId) : null;
+            if (!family || family.expiresAt < Date.now()) {
+                return { error: 'invalid' };
+            }
+            if (family.revokedAt) {
+                return { error: 'revoked' };
+            }
+            const hash = hashToken(secret);
+            if (family.usedHashes.includes(hash)) {
+                family.revokedAt = new Date().toISOString();
+                family.revokedReason = 'reuse';
+                return { error: 'reused', familyId };
+            }
+            if (hash !== family.currentHash) {
+                return { error: 'invalid' };
+            }
+            family.usedHashes = [...family.usedHashes, hash].slice(-USED_TOKEN_HISTORY);
+            family.lastUsedAt = new Date().toISOString();
+            return { token: newToken(family), familyId, userId: family.userId, username: family.username };
+        });
+    }
+
+    // revokes the family a token belongs to (logout), resolves the family id or null
+    function revokeByToken(token, reason = 'logout') {
+        const [familyId, secret] = String(token || '').split('.');
+        return store.mutate(doc => {
+            const family = familyId && secret ? findFamily(doc.families, familyId) : null;
+            const hash = family && hashToken(secret);
+            if (!family || (hash !== family.currentHash && !family.usedHashes.includes(hash))) {
+                return null;
+            }
+            family.revokedAt = family.revokedAt || new Date().toISOString();
+            family.revokedReason = family.revokedReason || reason;
+            return familyId;
+        });
+    }
+
+    // a session is a family that is neither revoked nor expired
+    const isActive = family => Boolean(family) && !family.revokedAt && family.expiresAt >= Date.now();
+
+    async function isSessionActive(familyId) {
+        const { families } = await store.read();
+        return isActive(findFamily(families, familyId));
+    }
+
+    // the user's active sessions, newest first
+    async function listSessions(userId) {
+        const { families } = await store.read();
+        return Object.values(families)
+            .filter(family => family.userId === userId && isActive(family))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(({ id, userAgent, ip, createdAt, lastUsedAt, expiresAt }) => ({
+                id,
+                userAgent,
+                ip,
+                createdAt,
+                lastUsedAt: lastUsedAt || createdAt,
+                expiresAt: new Date(expiresAt).toISOString(),
+            }));
+    }
+
+    // revokes one of the user's sessions, resolves false if the user has no such active session
+    function revokeSession(userId, familyId, reason = 'revoked by user') {
+        return store.mutate(doc => {
+            const family = findFamily(doc.families, familyId);
+            if (!isActive(family) || family.userId !== userId) {
+                return false;
+            }
+            family.revokedAt = new Date().toISOString();
+            family.revokedReason = reason;
+            return true;
+        });
+    }
+
+    // revokes every active session of the user, resolves with how many there were
+    function revokeAllSessions(userId, reason = 'revoked by user') {
+        return store.mutate(doc => {
+            const families = Object.values(doc.families).filter(family => family.userId === userId && isActive(family));
+            for (const family of families) {
+                family.revokedAt = new Date().toISOString();
+                family.revokedReason = reason;
+            }
+            return families.length;
+        });
+    }
+
+    return { issue, rotate, revokeByToken, isSessionActive, listSessions, revokeSession, revokeAllSessions };
+}
+
+module.exports = { createRefreshTokenStore, familyIdOf, REFRESH_TOKEN_TTL_MS };
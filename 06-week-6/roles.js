@@ -0,0 +1,47 @@
+// Role based access control: a user has roles, a role grants permissions, routes ask for a permission.
+//
+//   app.post('/admin/course', authenticateToken, authorize('course:write'), createCourse);
+//
+// Routes never check role names, so a new role (e.g. "instructor") is one line here, not a change
+// in every route.
+
+const USER_PERMISSIONS = ['profile:read', 'settings:write', 'course:purchase', 'purchases:read'];
+
+const ROLES = {
+    user: USER_PERMISSIONS,
+    admin: [...USER_PERMISSIONS, 'course:write', 'users:manage'],
+};
+
+const DEFAULT_ROLES = ['user'];
+
+function isRole(role) {
+    return Object.hasOwn(ROLES, role);
+}
+
+// every permission the roles grant, unknown roles grant nothing
+function permissionsFor(roles = []) {
+    return [...new Set(roles.filter(isRole).flatMap(role => ROLES[role]))].sort();
+}
+
+/**
+ * Middleware factory, mount after authenticateToken. The permissions come from the user's current
+ * roles (req.user, loaded from the store on every request), not from the token's claims, so a role
+ * revoked by an admin stops working immediately instead of when the token expires.
+ */
+function authorize(permission) {
+    return function authorizeMiddleware(req, res, next) {
+        const roles = req.user?.roles || [];
+        if (permissionsFor(roles).includes(permission)) {
+            return next();
+        }
+        const grantedBy = Object.keys(ROLES).filter(role => ROLES[role].includes(permission));
+        res.status(403).json({
+            message: 'Forbidden',
+            reason: `Requires the "${permission}" permission, granted by role(s): ${grantedBy.join(', ')}. `
+                + `Your role(s): ${roles.join(', ') || 'none'}`,
+            requiredPermission: permission,
+        });
+    };
+}
+
+module.exports = { ROLES, DEFAULT_ROLES, isRole, permissionsFor, authorize };
@@ -0,0 +1,104 @@
+// CSRF protection as 6.1 wires it: authenticateToken, the revocation and session checks, then
+// csrfProtection, on every state-changing route. csrf.test.js covers the middleware on its own.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const Path = require('node:path');
+
+const dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'auth-chain-'));
+Object.assign(process.env, {
+    USERS_FILE: Path.join(dir, 'users.json'),
+    REFRESH_TOKENS_FILE: Path.join(dir, 'refresh-tokens.json'),
+    REVOKED_TOKENS_FILE: Path.join(dir, 'revoked-tokens.json'),
+    JWT_KEYS_FILE: Path.join(dir, 'jwt-keys.json'),
+    LOGIN_AUDIT_LOG: Path.join(dir, 'login-audit.log'),
+    ADMIN_USERNAME: 'chain-admin',
+    LOG_LEVEL: 'error',
+});
+const app = require('../6.1-http-deepdive');
+
+// routes that run before there is a session to forge requests for
+const PUBLIC_ROUTES = new Set(['/signup', '/signin', '/signin/2fa']);
+const STATE_CHANGING = new Set(['post', 'put', 'patch', 'delete']);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function request(method, path, { cookies, headers = {}, body } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            'content-type': 'application/json',
+            ...(cookies && { cookie: Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ') }),
+            ...headers,
+        },
+        body: body && JSON.stringify(body),
+    });
+}
+
+// a signed-in browser: the token, refreshToken and csrfToken cookies, plus the csrfToken and the
+// access token from the response body
+async function signIn(username) {
+    const credentials = { username, password: 'correct horse 42' };
+    await request('POST', '/signup', { body: credentials });
+    const res = await request('POST', '/signin', { body: credentials });
+    assert.strictEqual(res.status, 200);
+    const cookies = Object.fromEntries(res.headers.getSetCookie().map(cookie => cookie.split(';')[0].split('=')));
+    const { csrfToken, token } = await res.json();
+    return { cookies, csrfToken, token };
+}
+
+// every POST/PUT/PATCH/DELETE route of the app, with its params filled in
+function stateChangingRoutes() {
+    return app.router.stack
+        .filter(layer => layer.route && !PUBLIC_ROUTES.has(layer.route.path))
+        .flatMap(layer => Object.keys(layer.route.methods)
+            .filter(method => STATE_CHANGING.has(method))
+            .map(method => ({ method: method.toUpperCase(), path: layer.route.path.replace(/:\w+/g, 'x') })));
+}
+
+test('every state-changing route refuses a cookie-authenticated request without the CSRF header', async () => {
+    const session = await signIn('chain-admin');
+    const routes = stateChangingRoutes();
+    assert.ok(routes.length >= 10, `found only ${routes.length} routes`);
+    for (const { method, path } of routes) {
+        const res = await request(method, path, { cookies: session.cookies });
+        const body = await res.json();
+        assert.strictEqual(res.status, 403, `${method} ${path} answered ${res.status}`);
+        assert.match(body.reason, /CSRF token/, `${method} ${path}: ${body.message}`);
+    }
+});
+
+test('the same request with the CSRF header goes through', async () => {
+    const { cookies, csrfToken } = await signIn('chain-user');
+    const res = await request('POST', '/settings', { cookies, headers: { 'x-csrf-token': csrfToken }, body: { setting: 'theme', value: 'dark' } });
+    assert.strictEqual(res.status, 200);
+});
+
+test('a Bearer request needs no CSRF header', async () => {
+    const { token } = await signIn('chain-bearer');
+    const res = await request('POST', '/settings', { headers: { authorization: `Bearer ${token}` }, body: { setting: 'theme' } });
+    assert.strictEqual(res.status, 200);
+});
+
+test('a revoked session is a 401 before the CSRF check runs', async () => {
+    const { cookies, csrfToken } = await signIn('chain-revoked');
+    const revoke = await request('DELETE', '/sessions', { cookies, headers: { 'x-csrf-token': csrfToken } });
+    assert.strictEqual(revoke.status, 200);
+    // no header: a CSRF check running first would answer 403
+    const res = await request('POST', '/settings', { cookies });
+    assert.strictEqual(res.status, 401);
+    assert.match((await res.json()).message, /Session has been revoked/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { createCsrfProtection } = require('../csrf');
+
+// a stand-in for authenticateToken in 6.1: the `session` cookie or a Bearer header authenticates,
+// its value is the session id
+function fakeAuth(req, res, next) {
+    const bearer = req.headers.authorization?.startsWith('Bearer ') && req.headers.authorization.slice(7);
+    const sessionId = bearer || req.cookies.session;
+    if (!sessionId) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
+    req.authSource = bearer ? 'header' : 'cookie';
+    req.sessionId = sessionId;
+    next();
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const csrf = createCsrfProtection({ secret: 'test-secret' });
+    const app = express();
+    app.use(cookieParser());
+    app.get('/csrf-token/:sessionId', (req, res) => res.json({ csrfToken: csrf.issue(res, req.params.sessionId) }));
+    app.use(fakeAuth, csrf.protect(req => req.sessionId));
+    app.get('/profile', (req, res) => res.json({ ok: true }));
+    app.post('/transfer', (req, res) => res.json({ ok: true }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function tokenFor(sessionId) {
+    const { csrfToken } = await (await fetch(`${baseUrl}/csrf-token/${sessionId}`)).json();
+    return csrfToken;
+}
+
+// what a browser sends: the session cookie always, the csrfToken cookie always, the header only
+// when the page itself set it
+function post(path, { session, csrfCookie, csrfHeader, bearer } = {}) {
+    const cookies = [session && `session=${session}`, csrfCookie && `csrfToken=${csrfCookie}`].filter(Boolean);
+    return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            ...(cookies.length > 0 && { cookie: cookies.join('; ') }),
+            ...(csrfHeader && { 'x-csrf-token': csrfHeader }),
+            ...(bearer && { authorization: `Bearer ${bearer}` }),
+        },
+    });
+}
+
+test('a cookie-authenticated POST without the X-CSRF-Token header is forged: 403', async () => {
+    const token = await tokenFor('session-a');
+    const res = await post('/transfer', { session: 'session-a', csrfCookie: token });
+    assert.strictEqual(res.status, 403);
+    assert.match((await res.json()).reason, /Missing CSRF token/);
+});
+
+test('a wrong token is rejected: 403', async () => {
+    const token = await tokenFor('session-a');
+    const [nonce] = token.split('.');
+    const forged = `${nonce}.${'A'.repeat(43)}`;
+    assert.strictEqual((await post('/transfer', { session: 'session-a', csrfCookie: forged, csrfHeader: forged })).status, 403);
+    // header and cookie have to be the same token
+    assert.strictEqual((await post('/transfer', { session: 'session-a', csrfCookie: token, csrfHeader: await tokenFor('session-a') })).status, 403);
+});
+
+test('a token issued for another session is rejected: 403', async () => {
+    const otherSessionsToken = await tokenFor('session-b');
+    const res = await post('/transfer', { session: 'session-a', csrfCookie: otherSessionsToken, csrfHeader: otherSessionsToken });
+    assert.strictEqual(res.status, 403);
+    assert.match((await res.json()).reason, /Invalid CSRF token/);
+});
+
+test('the session\'s own token in cookie and header is accepted: 200', async () => {
+    const token = await tokenFor('session-a');
+    assert.strictEqual((await post('/transfer', { session: 'session-a', csrfCookie: token, csrfHeader: token })).status, 200);
+});
+
+test('a Bearer-authenticated POST needs no CSRF token: 200', async () => {
+    assert.strictEqual((await post('/transfer', { bearer: 'session-a' })).status, 200);
+});
+
+test('safe methods need no CSRF token', async () => {
+    const res = await fetch(`${baseUrl}/profile`, { headers: { cookie: 'session=session-a' } });
+    assert.strictEqual(res.status, 200);
+});
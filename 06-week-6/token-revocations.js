@@ -0,0 +1,33 @@
+const Path = require('path');
+const { createJsonStore } = require('../shared/json-store');
+
+/**
+ * Access tokens (JWTs) that must stop working before they expire, e.g. after a logout.
+ * Keyed by the token's `jti` claim; an entry is only kept until the token would have expired anyway.
+ * Stored in REVOKED_TOKENS_FILE (default data/revoked-tokens.json).
+ */
+function createRevocationStore({ file = process.env.REVOKED_TOKENS_FILE || Path.join(__dirname, 'data', 'revoked-tokens.json') } = {}) {
+    const store = createJsonStore(file, () => ({ revoked: {} }));
+
+    // `exp` is the token's exp claim (seconds since epoch)
+    function revoke(jti, exp) {
+        return store.mutate(doc => {
+            const now = Date.now() / 1000;
+            for (const [id, expiresAt] of Object.entries(doc.revoked)) {
+                if (expiresAt < now) {
+                    delete doc.revoked[id];
+                }
+            }
+            doc.revoked[jti] = exp;
+        });
+    }
+
+    async function isRevoked(jti) {
+        const { revoked } = await store.read();
+        return Object.hasOwn(revoked, jti);
+    }
+
+    return { revoke, isRevoked };
+}
+
+module.exports = { createRevocationStore };
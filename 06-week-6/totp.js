@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, 1Password, Authy...
+// Only node's crypto, nothing leaves the machine: the app and the server share a secret and
+// both compute HMAC-SHA1(secret, current 30 second step) -> 6 digits.
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding, the format authenticator apps expect the secret in
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// accepts lower case, spaces and padding the way people copy secrets around
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character "${char}"`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// 160 bit secret (the HMAC-SHA1 block size recommendation of RFC 4226), base32 encoded
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP: dynamic truncation of HMAC-SHA1(key, 8 byte counter)
+function hotp(key, counter, digits = DIGITS) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(code % 10 ** digits).padStart(digits, '0');
+}
+
+function timeStep(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / PERIOD_SECONDS);
+}
+
+// the code for a base32 secret at a point in time
+function totp(secret, timeMs = Date.now()) {
+    return hotp(base32Decode(secret), timeStep(timeMs));
+}
+
+/**
+ * Checks a code against the current step and `window` steps before/after (phone clocks drift).
+ * Returns the matching step or null. A step at or before `lastUsedStep` never matches, so a code
+ * that was already used (e.g. read over someone's shoulder) cannot be replayed.
+ */
+function verifyTotp(secret, code, { window = 1, lastUsedStep = -1, timeMs = Date.now() } = {}) {
+    const given = String(code ?? '').replace(/\s/g, '');
+    if (!/^\d+$/.test(given) || given.length !== DIGITS) {
+        return null;
+    }
+    const key = base32Decode(secret);
+    const current = timeStep(timeMs);
+    for (let step = current - window; step <= current + window; step++) {
+        if (step <= lastUsedStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(given))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// what the authenticator app scans as a QR code (Key Uri Format)
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(PERIOD_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// single-use codes for when the phone is gone: shown once, only their sha256 is stored
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code ?? '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    totp,
+    verifyTotp,
+    otpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+};
@@ -0,0 +1,150 @@
+const Path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('../shared/json-store');
+const { hashPassword, verifyPassword, verifyLegacyPassword, verifyDummyPassword, needsRehash } = require('./password');
+const { DEFAULT_ROLES } = require('./roles');
+
+// usernames are unique and looked up case-insensitively: "Alice" and "alice" are the same account
+function usernameKey(username) {
+    return String(username).trim().toLowerCase();
+}
+
+// what the routes may send back to a client, never the password hash or the 2FA secrets
+function publicUser(user) {
+    const { passwordHash, password, mfa, ...rest } = user;
+    return { ...rest, mfaEnabled: Boolean(mfa?.enabled) };
+}
+
+/**
+ * Users for the week-6 auth servers, kept in a JSON file (USERS_FILE, default data/users.json)
+ * that is written atomically, so a crash never leaves a half-written file.
+ *
+ * Passwords are stored as scrypt hashes. Entries from the old in-memory days that still have a
+ * plaintext `password` are accepted once and replaced by a hash on that login.
+ *
+ * Every user has `roles` (see roles.js), "user" by default. The account named ADMIN_USERNAME also
+ * gets "admin" when it is created (or, for an old entry without roles, when the file is migrated),
+ * that is how the first admin comes to exist; more admins are granted by an admin. After that the
+ * stored roles are the truth, a revoked role stays revoked across restarts.
+ */
+function createUserStore({
+    file = process.env.USERS_FILE || Path.join(__dirname, 'data', 'users.json'),
+    adminUsername = process.env.ADMIN_USERNAME,
+} = {}) {
+    const initialRoles = username => (adminUsername && usernameKey(username) === usernameKey(adminUsername)
+        ? [...DEFAULT_ROLES, 'admin']
+        : DEFAULT_ROLES);
+
+    // entries written by hand (or by older versions) get a stable id and roles once
+    const store = createJsonStore(file, () => ({ users: [] }), doc => ({
+        users: doc.users.map(user => ({ ...user, id: user.id || crypto.randomUUID(), roles: user.roles ?? initialRoles(user.username) })),
+    }));
+    const load = async () => (await store.read()).users;
+    const mutate = change => store.mutate(doc => change(doc.users));
+
+    async function findByUsername(username) {
+        const key = usernameKey(username);
+        return (await load()).find(user => user.usernameKey === key || usernameKey(user.username) === key) || null;
+    }
+
+    async function findById(id) {
+        return (await load()).find(user => user.id === id) || null;
+    }
+
+    // resolves null when the (case-insensitive) username is taken
+    async function create({ username, password }) {
+        const passwordHash = await hashPassword(password);
+        return mutate(next => {
+            const key = usernameKey(username);
+            if (next.some(user => usernameKey(user.username) === key)) {
+                return null;
+            }
+            const user = {
+                id: crypto.randomUUID(),
+                username: username.trim(),
+                usernameKey: key,
+                passwordHash,
+                roles: initialRoles(username),
+                createdAt: new Date().toISOString(),
+            };
+            next.push(user);
+            return user;
+        });
+    }
+
+    function update(id, changes) {
+        return mutate(next => {
+            const user = next.find(user => user.id === id);
+            return user ? Object.assign(user, changes, { id }) : null;
+        });
+    }
+
+    /**
+     * Runs change(user) on the stored user inside one write, for read-check-write updates that must
+     * not interleave (e.g. consuming a single-use code). Resolves what change returned, or null
+     * when there is no such user.
+     */
+    function modify(id, change) {
+        return mutate(next => {
+            const user = next.find(user => user.id === id);
+            return user ? change(user) : null;
+        });
+    }
+
+    // resolves the updated user, or null when there is no such user
+    function grantRole(id, role) {
+        return mutate(next => {
+            const user = next.find(user => user.id === id);
+            if (user && !user.roles.includes(role)) {
+                user.roles = [...user.roles, role];
+            }
+            return user || null;
+        });
+    }
+
+    function revokeRole(id, role) {
+        return mutate(next => {
+            const user = next.find(user => user.id === id);
+            if (user) {
+                user.roles = user.roles.filter(existing => existing !== role);
+            }
+            return user || null;
+        });
+    }
+
+    async function list() {
+        return load();
+    }
+
+    /**
+     * Returns the user when username and password match, otherwise null.
+     * Legacy plaintext passwords and hashes made with weaker scrypt parameters are rehashed here,
+     * the only moment the plaintext password is available.
+     * An unknown username costs the same hashing work as a wrong password.
+     */
+    async function verifyCredentials(username, password) {
+        if (typeof password !== 'string') {
+            return null;
+        }
+        const user = await findByUsername(username);
+        if (!user) {
+            await verifyDummyPassword(password);
+            return null;
+        }
+        const valid = user.passwordHash
+            ? await verifyPassword(password, user.passwordHash)
+            : verifyLegacyPassword(password, user.password);
+        if (!valid) {
+            return null;
+        }
+        if (!user.passwordHash || needsRehash(user.passwordHash)) {
+            const passwordHash = await hashPassword(password);
+            return update(user.id, { passwordHash, password: undefined, usernameKey: usernameKey(user.username) });
+        }
+        return user;
+    }
+
+    return { list, findByUsername, findById, create, update, modify, grantRole, revokeRole, verifyCredentials };
+}
+
+module.exports = { createUserStore, publicUser, usernameKey };
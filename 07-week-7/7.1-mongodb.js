@@ -2,12 +2,17 @@
 //they are easy to scale and are not as rigid as sql databases, they can be horizontally scaled while sql databases are not easily scalable they need sharding and clustering to scale
 //npm init -y
 //npm install express mongoose jsonwebtoken
+const Path = require('path');
 const express = require('express');
 const { UserModel, TodoModel } = require('./7.1-db');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
+const { UnauthorizedError, asyncHandler, notFoundHandler, problemDetailsHandler } = require('../shared/http-errors');
+const { requestLogger } = require('../shared/request-logger');
+const { createKeyStore, createJwtSigner } = require('../shared/jwt-keystore');
 
 const app = express();
+app.use(requestLogger());
 app.use(express.json());
 
 mongoose.connect(process.env.MONGODB_URI).then(() => {
@@ -17,48 +22,65 @@ mongoose.connect(process.env.MONGODB_URI).then(() => {
         console.log('Error connecting to MongoDB', err);
     });
 
-function auth(req, res, next) {
+// tokens are signed with a rotating key pair instead of a shared JWT_SECRET, see shared/jwt-keystore.js
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const keyStore = createKeyStore({
+    file: Path.join(__dirname, 'data', 'jwt-keys-7.1.json'),
+    maxTokenTtlMs: TOKEN_TTL_MS,
+});
+const tokens = createJwtSigner(jwt, keyStore);
+
+async function auth(req, res, next) {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) {
-        return res.status(401).json({ message: 'Unauthorized' });
+        return next(new UnauthorizedError('Unauthorized'));
     }
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await tokens.verify(token);
         req.userId = decoded.userId;
-        next();
+        req.auth = { sub: decoded.userId };
     } catch (err) {
-        return res.status(401).json({ message: 'Invalid token' });
+        return next(new UnauthorizedError('Invalid token'));
     }
+    next();
 }
-app.post('/signup', async (req, res) => {
+app.get('/.well-known/jwks.json', asyncHandler(async (req, res) => {
+    res.json(await keyStore.jwks());
+}));
+//asyncHandler passes a rejected promise (db down, bad input) to the error middleware instead of crashing the app
+app.post('/signup', asyncHandler(async (req, res) => {
     const { name, email, password } = req.body;
     // const user = new UserModel({ name, email, password });
     // user.save();
     await UserModel.create({ name, email, password });
 
     res.status(201).json({ message: 'User created successfully' });
-});
-app.post('/login', async (req, res) => {
+}));
+app.post('/login', asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
     const user = await UserModel.findOne({ email, password });
     if (!user) {
-        return res.status(401).json({ message: 'Invalid email or password' });
+        throw new UnauthorizedError('Invalid email or password');
     }
-    const token = jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET);
+    const token = await tokens.sign({ userId: user._id.toString() }, { expiresIn: TOKEN_TTL_MS / 1000 });
     res.status(200).json({ message: 'Login successful', token });
 
 
-});
-app.get('/todos', auth, async (req, res) => {
+}));
+app.get('/todos', auth, asyncHandler(async (req, res) => {
     const todos = await TodoModel.find({ userId: req.userId });// todos will be an array of todo objects like: [{ _id: ObjectId, title: String, done: Boolean, userId: ObjectId }, ...]
     res.status(200).json({ todos });
-});//authenticated
-app.post('/todos', auth, async (req, res) => {
+}));//authenticated
+app.post('/todos', auth, asyncHandler(async (req, res) => {
     const { title } = req.body;
     const todo = await TodoModel.create({ title, userId: req.userId, done: false });
     res.status(201).json({ message: 'Todo created successfully', todo });
-});//authenticated
+}));//authenticated
+
+//unknown routes -> 404, every error -> application/problem+json (no stack traces with NODE_ENV=production)
+app.use(notFoundHandler);
+app.use(problemDetailsHandler());
 
 app.listen(3000, () => {
     console.log('Server is running on port 3000');
@@ -8,15 +8,126 @@ const userSchema = new Schema({
     password: String,
 });
 
+// a todo belongs to at most one project (none = the inbox) and can carry many tags: both are
+// references (ids + ref), populate('tags') swaps the ids for the tag documents when reading
+// userId is the owner, members are the users the project is shared with (7.2-permissions.js)
+const memberSchema = new Schema({
+    userId: { type: ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['viewer', 'editor'], required: true },
+    addedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const projectSchema = new Schema({
+    name: { type: String, required: true },
+    userId: { type: ObjectId, required: true },
+    members: [memberSchema],
+}, { timestamps: true });
+projectSchema.index({ userId: 1, name: 1 }, { unique: true });
+projectSchema.index({ 'members.userId': 1 }); // the projects shared with a user
+
+const tagSchema = new Schema({
+    name: { type: String, required: true },
+    userId: { type: ObjectId, required: true },
+}, { timestamps: true });
+tagSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// subtasks are embedded: they only exist inside their todo and are always loaded with it
+const subtaskSchema = new Schema({
+    title: { type: String, required: true },
+    done: { type: Boolean, default: false },
+}, { timestamps: true });
+
+// a recurring todo is one occurrence of a series, completing it creates the next one (7.2-recurrence.js)
+const recurrenceSchema = new Schema({
+    freq: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+    interval: { type: Number, default: 1 },
+    byWeekday: { type: [String], default: undefined }, // weekly: ['MO', 'TH']
+    nth: Number, // monthly: 1-4, -1 = last
+    weekday: String, // monthly
+    timeZone: { type: String, default: 'UTC' },
+    until: Date,
+    count: Number,
+    time: String, // wall clock time of the series in timeZone, "09:00:00"
+    occurrence: { type: Number, default: 1 }, // this todo is occurrence n of the series
+    seriesId: ObjectId, // the first todo of the series
+    previousId: ObjectId, // the occurrence whose completion created this one
+}, { _id: false });
+
 const todoSchema = new Schema({
     title: String,
     done: Boolean,
     userId: ObjectId,
     dueBy: Date,
-}, { timestamps: true });
+    projectId: { type: ObjectId, ref: 'Project' },
+    tags: [{ type: ObjectId, ref: 'Tag' }],
+    subtasks: {
+        type: [subtaskSchema],
+        validate: { validator: subtasks => subtasks.length <= 50, message: 'At most 50 subtasks' },
+    },
+    recurrence: recurrenceSchema,
+}, { timestamps: true, toJSON: { virtuals: true }, id: false });
+
+// completion roll-up: { done: 2, total: 3, percent: 67 }, null for a todo without subtasks
+todoSchema.virtual('progress').get(function () {
+    const total = this.subtasks?.length ?? 0;
+    if (total === 0) {
+        return null;
+    }
+    const done = this.subtasks.filter(subtask => subtask.done).length;
+    return { done, total, percent: Math.round((done / total) * 100) };
+});
+
+// a todo with subtasks is done exactly when all of them are, call after changing subtasks
+todoSchema.methods.rollUpSubtasks = function () {
+    if (this.subtasks.length > 0) {
+        this.done = this.subtasks.every(subtask => subtask.done);
+    }
+    return this;
+};
+
+// todo queries start with userId (the inbox) or projectId (shared lists), so the indexes do too
+// (GET /todos in 7.2-todo-query.js):
+// - one per sort order, with _id as the tie breaker the cursor pagination relies on
+// - done + dueBy for "open todos due soon / overdue"
+// - a text index for searching words in the title. Only one per collection, and without a userId
+//   prefix: a prefixed text index needs userId = x in every search, lists are shared between users.
+//   A database created before shared lists still has { userId: 1, title: 'text' }, drop it first:
+//   db.todos.dropIndex('userId_1_title_text')
+todoSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+todoSchema.index({ userId: 1, dueBy: 1, _id: 1 });
+todoSchema.index({ userId: 1, done: 1, dueBy: 1 });
+todoSchema.index({ title: 'text' });
+// a project's todos (GET /projects/:id/todos, everyone's shared lists in GET /todos) and the inbox
+todoSchema.index({ projectId: 1, createdAt: -1, _id: -1 });
+todoSchema.index({ projectId: 1, dueBy: 1, _id: 1 });
+todoSchema.index({ userId: 1, projectId: 1, createdAt: -1, _id: -1 });
+todoSchema.index({ userId: 1, tags: 1 });
+// one next occurrence per occurrence, however often it is completed and reopened
+todoSchema.index({ 'recurrence.previousId': 1 }, { unique: true, partialFilterExpression: { 'recurrence.previousId': { $exists: true } } });
+
+// activity trail: who did what to which todo, e.g. { userId: <bob>, action: 'completed', title: 'Buy milk' }
+// the title is copied so the entry still reads right after the todo is renamed or deleted
+const activitySchema = new Schema({
+    userId: { type: ObjectId, ref: 'User', required: true }, // who did it
+    todoId: { type: ObjectId, required: true },
+    projectId: ObjectId, // null for inbox todos
+    action: {
+        type: String,
+        required: true,
+        enum: ['created', 'updated', 'replaced', 'completed', 'reopened', 'deleted', 'subtask added', 'subtask updated', 'subtask deleted'],
+    },
+    title: String,
+    changes: Schema.Types.Mixed, // the fields that were sent, e.g. { dueBy: ..., tags: [...] }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+activitySchema.index({ projectId: 1, _id: -1 });
+activitySchema.index({ todoId: 1, _id: -1 });
+
 const UserModel = mongoose.model('User', userSchema);//here User is the collection name in the database, userSchema is the schema for the collection, and UserModel is the model name for the collection
 const TodoModel = mongoose.model('Todo', todoSchema);//here Todo is the collection name in the database, todoSchema is the schema for the collection, and TodoModel is the model name for the collection
+const ProjectModel = mongoose.model('Project', projectSchema);
+const TagModel = mongoose.model('Tag', tagSchema);
+const ActivityModel = mongoose.model('Activity', activitySchema);
 
-module.exports = { UserModel, TodoModel };
+module.exports = { UserModel, TodoModel, ProjectModel, TagModel, ActivityModel };
 
 //first require the mongoose module, then create a schema for the collection, then create a model('collection name', schema) for the collection, then export the model. object id is mongoose.Schema.ObjectId.
\ No newline at end of file
@@ -11,14 +11,49 @@ Improvements from previous week 7.1:
 //codes from week 7.1
 
 //npm install zod bcryptjs 
+const Path = require('path');
+const crypto = require('crypto');
 const express = require('express');
-const { UserModel, TodoModel } = require('./7.2-db');
+const { UserModel, TodoModel, ProjectModel, TagModel, ActivityModel } = require('./7.2-db');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const { z } = require('zod');
+const {
+    UnauthorizedError,
+    TooManyRequestsError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+    asyncHandler,
+    notFoundHandler,
+    problemDetailsHandler,
+} = require('../shared/http-errors');
+const { requestLogger } = require('../shared/request-logger');
+const { createKeyStore, createJwtSigner } = require('../shared/jwt-keystore');
+const { createLoginGuard, lockoutFields } = require('../shared/login-guard');
+const {
+    createTodoSchema,
+    replaceTodoSchema,
+    updateTodoSchema,
+    subtaskSchema,
+    updateSubtaskSchema,
+    projectSchema,
+    tagSchema,
+    deleteProjectQuerySchema,
+    inviteMemberSchema,
+    updateMemberSchema,
+    activityQuerySchema,
+    listTodosQuerySchema,
+    validate,
+    validateObjectIdParam,
+} = require('./7.2-schemas');
+const { findTodoPage } = require('./7.2-todo-query');
+const { createNextOccurrence } = require('./7.2-recurrence');
+const { projectRole, memberOf, findProjectFor, findTodoFor, readableTodos } = require('./7.2-permissions');
 
 const app = express();
+app.use(requestLogger());
 app.use(express.json());
 
 mongoose.connect(process.env.MONGODB_URI).then(() => {
@@ -28,20 +63,31 @@ mongoose.connect(process.env.MONGODB_URI).then(() => {
         console.log('Error connecting to MongoDB', err);
     });
 
-function auth(req, res, next) {
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const keyStore = createKeyStore({
+    file: Path.join(__dirname, 'data', 'jwt-keys-7.2.json'),
+    maxTokenTtlMs: TOKEN_TTL_MS,
+});
+const tokens = createJwtSigner(jwt, keyStore);
+
+async function auth(req, res, next) {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) {
-        return res.status(401).json({ message: 'Unauthorized' });
+        return next(new UnauthorizedError('Unauthorized'));
     }
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await tokens.verify(token);
         req.userId = decoded.userId;
-        next();
+        req.auth = { sub: decoded.userId };
     } catch (err) {
-        return res.status(401).json({ message: 'Invalid token' });
+        return next(new UnauthorizedError('Invalid token'));
     }
+    next();
 }
-app.post('/signup', async (req, res) => {
+app.get('/.well-known/jwks.json', asyncHandler(async (req, res) => {
+    res.json(await keyStore.jwks());
+}));
+app.post('/signup', asyncHandler(async (req, res) => {
     const { name, email, password } = req.body;
     const userSchema = z.object({
         name: z.string().min(3),
@@ -50,7 +96,7 @@ app.post('/signup', async (req, res) => {
     });
     const result = userSchema.safeParse(req.body);//safeParse will return an object with success and data properties and will not throw an error if the input is invalid
     if (!result.success) {
-        return res.status(400).json({ message: result.error.message });
+        throw new ValidationError('Invalid signup data', result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message })));
     }
 
     // const user = new UserModel({ name, email, password });
@@ -61,70 +107,405 @@ app.post('/signup', async (req, res) => {
 
         res.status(201).json({ message: 'User created successfully' });
     } catch (err) {
-        console.log(err);
         if (err.code === 11000) {
-            return res.status(409).json({ message: 'Email already exists' });
+            throw new ConflictError('Email already exists');
         }
-        return res.status(500).json({ message: 'Error creating user' });
+        throw err;// anything else is a 500 from the error middleware
     }
-});
-app.post('/login', async (req, res) => {
+}));
+const loginGuard = createLoginGuard({ auditFile: Path.join(__dirname, 'data', 'login-audit.log') });
+// compared against when the email is unknown, so that answer takes as long as a wrong password
+// (same cost factor as signup) and response times don't reveal which emails have an account
+const DUMMY_PASSWORD_HASH = bcrypt.hash(crypto.randomBytes(32).toString('base64'), 10);
+
+app.post('/login', asyncHandler(async (req, res) => {
     const { email, password } = req.body;
+    // a query object like { "$ne": null } as the email would match the first user in findOne
+    if (typeof email !== 'string' || typeof password !== 'string') {
+        throw new ValidationError('Invalid login data', [{ path: typeof email !== 'string' ? 'email' : 'password', message: 'Expected a string' }]);
+    }
+    const attempt = { account: email, ip: req.ip, userAgent: req.headers['user-agent'] };
 
-    const user = await UserModel.findOne({ email });
-    if (!user) {
-        return res.status(401).json({ message: 'Invalid email or password' });
+    const lock = loginGuard.blocked(attempt);
+    if (lock) {
+        throw new TooManyRequestsError(lock.message, { retryAfterSeconds: lock.retryAfterSeconds });
     }
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-        return res.status(401).json({ message: 'Invalid email or password' });
+
+    const user = await UserModel.findOne({ email });
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : await DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordValid) {
+        const { lockout } = loginGuard.recordFailure({ ...attempt, reason: user ? 'wrong password' : 'unknown account' });
+        throw new UnauthorizedError('Invalid email or password', {
+            extensions: lockoutFields(lockout),
+        });
     }
-    const token = jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET);
+    loginGuard.recordSuccess(attempt);
+    const token = await tokens.sign({ userId: user._id.toString() }, { expiresIn: TOKEN_TTL_MS / 1000 });
     res.status(200).json({ message: 'Login successful', token });
 
 
-});
-app.get('/todos', auth, async (req, res) => {
-    const todos = await TodoModel.find({ userId: req.userId });// todos will be an array of todo objects like: [{ _id: ObjectId, title: String, done: Boolean, userId: ObjectId }, ...]
-    res.status(200).json({ todos });
-});//authenticated
-app.post('/todos', auth, async (req, res) => {
-    const { title, dueBy } = req.body;
-    const todo = await TodoModel.create({ title, userId: req.userId, done: false, dueBy });
+}));
+// every :id in a route must look like an ObjectId, otherwise 400 before any handler runs
+app.param('id', validateObjectIdParam);
+app.param('subtaskId', validateObjectIdParam);
+app.param('userId', validateObjectIdParam);
+
+// { title, dueBy: null, done } -> { $set: { title, done }, $unset: { dueBy: 1 } }, null removes a field
+function toUpdate(changes) {
+    const update = { $set: {}, $unset: {} };
+    for (const [field, value] of Object.entries(changes)) {
+        if (value === null) {
+            update.$unset[field] = 1;
+        } else {
+            update.$set[field] = value;
+        }
+    }
+    return update;
+}
+
+// done: true on a todo with subtasks also ticks them all off (and a todo is only done when they are, see rollUpSubtasks)
+function toTodoUpdate(changes) {
+    const update = toUpdate(changes);
+    if (changes.done === true) {
+        update.$set['subtasks.$[].done'] = true;
+    }
+    // a recurring todo without a due date has nothing to repeat from, and a new due date is the
+    // series' new time of day
+    if (changes.recurrence === undefined && changes.dueBy === null) {
+        update.$unset.recurrence = 1;
+    } else if (changes.recurrence === undefined && changes.dueBy) {
+        update.$unset['recurrence.time'] = 1;
+    }
+    return update;
+}
+
+// PATCH { recurrence } without a dueBy: the todo must already have one
+function checkRecurrence(current, changes) {
+    if (changes.recurrence && !changes.dueBy && !current.dueBy) {
+        throw new ValidationError('Invalid todo update', [{ path: 'dueBy', message: 'A recurring todo needs a dueBy, its first occurrence' }]);
+    }
+}
+
+// done: false can't reopen a todo whose subtasks are all done (rollUpSubtasks would close it again
+// on the next subtask change), one of the subtasks has to be reopened instead
+function checkRollUp(current, changes) {
+    const allSubtasksDone = current.subtasks.length > 0 && current.subtasks.every(subtask => subtask.done);
+    if (changes.done === false && allSubtasksDone) {
+        throw new ConflictError('All subtasks of this todo are done, reopen one of them to reopen the todo');
+    }
+}
+
+// a todo may only go into a project the user can write to (403 for a viewer), and only carry the
+// user's own tags or the ones it already has (a shared todo can carry tags of other members)
+async function checkReferences(userId, { projectId, tags }, current = null) {
+    const errors = [];
+    if (projectId) {
+        try {
+            await findProjectFor(ProjectModel, userId, projectId, 'write');
+        } catch (err) {
+            if (!(err instanceof NotFoundError)) {
+                throw err;
+            }
+            errors.push({ path: 'projectId', message: 'No such project' });
+        }
+    }
+    const newTags = (tags ?? []).filter(tag => !current?.tags.some(existing => existing.equals(tag)));
+    if (newTags.length > 0 && (await TagModel.countDocuments({ _id: { $in: newTags }, userId })) !== newTags.length) {
+        errors.push({ path: 'tags', message: 'No such tag' });
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid todo', errors);
+    }
+}
+
+// a todo the user has `permission` on (read / write, see 7.2-permissions.js), 404 or 403 otherwise
+async function findTodo(req, permission) {
+    const { todo } = await findTodoFor(TodoModel, ProjectModel, req.userId, req.params.id, permission);
+    return todo;
+}
+
+function findSubtask(todo, subtaskId) {
+    const subtask = todo.subtasks.id(subtaskId);
+    if (!subtask) {
+        throw new NotFoundError('Subtask not found');
+    }
+    return subtask;
+}
+
+// activity trail: who did what to which todo, read with GET /projects/:id/activity and GET /todos/:id/activity
+function recordActivity(req, todo, action, changes) {
+    return ActivityModel.create({ userId: req.userId, todoId: todo._id, projectId: todo.projectId, action, title: todo.title, changes });
+}
+
+// completing an occurrence of a recurring todo creates the next one (null when the series is over)
+async function completed(req, todo) {
+    await recordActivity(req, todo, 'completed');
+    const next = await createNextOccurrence(TodoModel, todo);
+    if (next) {
+        await recordActivity(req, next, 'created', { previousId: todo._id });
+    }
+    return next;
+}
+
+// every todo the user can read: their inbox and the lists they own or were invited to
+// filters: done, overdue, dueAfter / dueBefore / dueWithin, q (title words); sort: createdAt, dueBy (- for descending);
+// one page of `limit` todos, pass the returned nextCursor as ?cursor= to get the next one
+app.get('/todos', auth, asyncHandler(async (req, res) => {
+    const query = validate(listTodosQuerySchema, req.query, 'Invalid todo list query');
+    const scope = await readableTodos(ProjectModel, req.userId);
+    const { todos, nextCursor } = await findTodoPage(TodoModel, scope, query);// todos will be an array of todo objects like: [{ _id: ObjectId, title: String, done: Boolean, userId: ObjectId }, ...]
+    res.status(200).json({ todos, nextCursor });
+}));//authenticated
+app.post('/todos', auth, asyncHandler(async (req, res) => {
+    const { title, dueBy, done, projectId, tags, subtasks, recurrence } = validate(createTodoSchema, req.body, 'Invalid todo');
+    await checkReferences(req.userId, { projectId, tags });
+    const todo = new TodoModel({ title, userId: req.userId, done, dueBy, projectId, tags, subtasks, recurrence });
+    await todo.rollUpSubtasks().save();
+    await recordActivity(req, todo, 'created');
+    await todo.populate('tags', 'name');
     res.status(201).json({ message: 'Todo created successfully', todo });
-});//authenticated
+}));//authenticated - in the inbox or a list the user can write to
 
-app.patch('/todos/:id', auth, async (req, res) => {
+// partial update: only the fields in the body change, e.g. { done: false } or { title: 'New title' }
+app.patch('/todos/:id', auth, asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const changes = validate(updateTodoSchema, req.body, 'Invalid todo update');
+    const current = await findTodo(req, 'write');
+    await checkReferences(req.userId, changes, current);
+    checkRecurrence(current, changes);
+    checkRollUp(current, changes);
 
     // Method 1: Using findOneAndUpdate (current approach)
     const todo = await TodoModel.findOneAndUpdate(
-        { _id: id, userId: req.userId },
-        { done: true },
-        { new: true } // returns the updated document instead of the original one
-    );
+        { _id: id },
+        toTodoUpdate(changes),
+        { new: true, runValidators: true } // returns the updated document instead of the original one
+    ).populate('tags', 'name');
 
     // Method 2: Manual approach (alternative)
-    // const todo = await TodoModel.findOne({ _id: id, userId: req.userId });
-    // if (todo) {
-    //     todo.done = true;
-    //     await todo.save();
-    // }
+    // const todo = await findTodo(req, 'write');
+    // Object.assign(todo, changes);
+    // await todo.save();
 
     if (!todo) {
-        return res.status(404).json({ message: 'Todo not found' });
+        throw new NotFoundError('Todo not found');
+    }
+    let next = null;
+    if (changes.done === true && !current.done) {
+        next = await completed(req, todo);
+    } else {
+        await recordActivity(req, todo, changes.done === false && current.done ? 'reopened' : 'updated', changes);
     }
-    res.status(200).json({ message: 'Todo marked as done', todo });
-});//authenticated - mark todo as done
+    res.status(200).json({ message: 'Todo updated', todo, next });
+}));//authenticated - rename, reschedule, mark done / undone (owner or editor of the todo's list)
 
-app.delete('/todos/:id', auth, async (req, res) => {
+// full replace: every editable field is set, the ones left out go back to their defaults
+app.put('/todos/:id', auth, asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const todo = await TodoModel.findOneAndDelete({ _id: id, userId: req.userId });
+    const replacement = validate(replaceTodoSchema, req.body, 'Invalid todo');
+    const current = await findTodo(req, 'write');
+    await checkReferences(req.userId, replacement, current);
+    checkRollUp(current, replacement);
+    const todo = await TodoModel.findOneAndUpdate(
+        { _id: id },
+        toTodoUpdate(replacement),
+        { new: true, runValidators: true }
+    ).populate('tags', 'name');
     if (!todo) {
-        return res.status(404).json({ message: 'Todo not found' });
+        throw new NotFoundError('Todo not found');
     }
+    await recordActivity(req, todo, 'replaced', replacement);
+    res.status(200).json({ message: 'Todo replaced', todo });
+}));//authenticated
+
+app.delete('/todos/:id', auth, asyncHandler(async (req, res) => {
+    const todo = await findTodo(req, 'write');
+    await todo.deleteOne();
+    await recordActivity(req, todo, 'deleted');
     res.status(200).json({ message: 'Todo deleted successfully' });
-});//authenticated - delete todo
+}));//authenticated - delete todo
+
+// newest first, ?before=<_id of the last entry> for the next page
+app.get('/todos/:id/activity', auth, asyncHandler(async (req, res) => {
+    const { limit, before } = validate(activityQuerySchema, req.query, 'Invalid activity query');
+    const todo = await findTodo(req, 'read');
+    const activity = await ActivityModel.find({ todoId: todo._id, ...(before && { _id: { $lt: before } }) })
+        .sort({ _id: -1 })
+        .limit(limit)
+        .populate('userId', 'name email');
+    res.status(200).json({ activity, nextBefore: activity.length === limit ? activity[activity.length - 1]._id : null });
+}));//authenticated
+
+// subtasks: the todo is done once all of its subtasks are, and undone again when one is added or reopened
+app.post('/todos/:id/subtasks', auth, asyncHandler(async (req, res) => {
+    const { title } = validate(subtaskSchema, req.body, 'Invalid subtask');
+    const todo = await findTodo(req, 'write');
+    todo.subtasks.push({ title });
+    await todo.rollUpSubtasks().save();
+    await recordActivity(req, todo, 'subtask added', { title });
+    res.status(201).json({ message: 'Subtask added', todo });
+}));//authenticated
+
+app.patch('/todos/:id/subtasks/:subtaskId', auth, asyncHandler(async (req, res) => {
+    const changes = validate(updateSubtaskSchema, req.body, 'Invalid subtask update');
+    const todo = await findTodo(req, 'write');
+    const wasDone = todo.done;
+    findSubtask(todo, req.params.subtaskId).set(changes);
+    await todo.rollUpSubtasks().save();
+    await recordActivity(req, todo, 'subtask updated', { subtaskId: req.params.subtaskId, ...changes });
+    // ticking off the last subtask completes the todo, like PATCH /todos/:id { done: true }
+    const next = !wasDone && todo.done ? await completed(req, todo) : null;
+    res.status(200).json({ message: 'Subtask updated', todo, next });
+}));//authenticated - rename, tick off / reopen
+
+app.delete('/todos/:id/subtasks/:subtaskId', auth, asyncHandler(async (req, res) => {
+    const todo = await findTodo(req, 'write');
+    const subtask = findSubtask(todo, req.params.subtaskId);
+    subtask.deleteOne();
+    await todo.rollUpSubtasks().save();
+    await recordActivity(req, todo, 'subtask deleted', { subtaskId: subtask._id, title: subtask.title });
+    res.status(200).json({ message: 'Subtask deleted', todo });
+}));//authenticated
+
+// projects group todos, a todo without a project is in the inbox (GET /todos?projectId=inbox).
+// The owner can share a project as a list with other users, see 7.2-permissions.js
+app.post('/projects', auth, asyncHandler(async (req, res) => {
+    const { name } = validate(projectSchema, req.body, 'Invalid project');
+    if (await ProjectModel.exists({ userId: req.userId, name })) {
+        throw new ConflictError(`There is already a project called "${name}"`);
+    }
+    const project = await ProjectModel.create({ name, userId: req.userId });
+    res.status(201).json({ message: 'Project created', project });
+}));//authenticated
+
+// the user's own projects and the ones shared with them, each with the user's role
+app.get('/projects', auth, asyncHandler(async (req, res) => {
+    const projects = await ProjectModel.find(memberOf(req.userId)).sort({ name: 1 });
+    res.status(200).json({ projects: projects.map(project => ({ ...project.toJSON(), role: projectRole(project, req.userId) })) });
+}));//authenticated
+
+// same filters, sort and cursor as GET /todos, limited to one project
+app.get('/projects/:id/todos', auth, asyncHandler(async (req, res) => {
+    const project = await findProjectFor(ProjectModel, req.userId, req.params.id, 'read');
+    const query = validate(listTodosQuerySchema, req.query, 'Invalid todo list query');
+    const { todos, nextCursor } = await findTodoPage(TodoModel, { projectId: project._id }, query);
+    res.status(200).json({ project, todos, nextCursor });
+}));//authenticated - owner and members
+
+// ?todos=reassign (default) moves the project's todos to ?reassignTo=<projectId> or to the inbox of
+// whoever created them, ?todos=cascade deletes them with the project
+app.delete('/projects/:id', auth, asyncHandler(async (req, res) => {
+    const { todos, reassignTo } = validate(deleteProjectQuerySchema, req.query, 'Invalid project delete');
+    const project = await findProjectFor(ProjectModel, req.userId, req.params.id, 'delete');
+    if (reassignTo === req.params.id) {
+        throw new ValidationError('Invalid project delete', [{ path: 'reassignTo', message: 'No such project' }]);
+    }
+    if (reassignTo) {
+        await checkReferences(req.userId, { projectId: reassignTo });
+    }
+
+    // todos first: if this fails halfway the project is still there and the delete can be repeated
+    const projectTodos = { projectId: project._id };
+    let result;
+    if (todos === 'cascade') {
+        const { deletedCount } = await TodoModel.deleteMany(projectTodos);
+        await ActivityModel.deleteMany(projectTodos); // nobody can read the trail of deleted todos anymore
+        result = { deleted: deletedCount };
+    } else {
+        const { modifiedCount } = await TodoModel.updateMany(
+            projectTodos,
+            reassignTo ? { $set: { projectId: reassignTo } } : { $unset: { projectId: 1 } }
+        );
+        result = { moved: modifiedCount, to: reassignTo ?? 'inbox' };
+    }
+    await project.deleteOne();
+    res.status(200).json({ message: 'Project deleted', todos: result });
+}));//authenticated - owner only
+
+app.get('/projects/:id/members', auth, asyncHandler(async (req, res) => {
+    const project = await findProjectFor(ProjectModel, req.userId, req.params.id, 'read');
+    await project.populate([{ path: 'userId', select: 'name email', model: UserModel }, { path: 'members.userId', select: 'name email' }]);
+    res.status(200).json({ owner: project.userId, members: project.members });
+}));//authenticated - owner and members
+
+// share with a registered user: { email, role: 'viewer' | 'editor' }
+app.post('/projects/:id/members', auth, asyncHandler(async (req, res) => {
+    const { email, role } = validate(inviteMemberSchema, req.body, 'Invalid invitation');
+    const project = await findProjectFor(ProjectModel, req.userId, req.params.id, 'share');
+    const user = await UserModel.findOne({ email }, { name: 1, email: 1 });
+    if (!user) {
+        throw new NotFoundError('No registered user with this email');
+    }
+    if (projectRole(project, user._id)) {
+        throw new ConflictError(`${email} is already ${project.userId.equals(user._id) ? 'the owner' : 'a member'} of this project`);
+    }
+    project.members.push({ userId: user._id, role });
+    await project.save();
+    res.status(201).json({ message: 'Member added', member: { user, role } });
+}));//authenticated - owner only
+
+app.patch('/projects/:id/members/:userId', auth, asyncHandler(async (req, res) => {
+    const { role } = validate(updateMemberSchema, req.body, 'Invalid member update');
+    const project = await findProjectFor(ProjectModel, req.userId, req.params.id, 'share');
+    const member = project.members.find(candidate => candidate.userId.equals(req.params.userId));
+    if (!member) {
+        throw new NotFoundError('Member not found');
+    }
+    member.role = role;
+    await project.save();
+    res.status(200).json({ message: 'Member updated', member });
+}));//authenticated - owner only, e.g. viewer -> editor
+
+// the owner removes a member, a member can remove themselves (leave the list)
+app.delete('/projects/:id/members/:userId', auth, asyncHandler(async (req, res) => {
+    const leaving = req.params.userId === req.userId;
+    const project = await findProjectFor(ProjectModel, req.userId, req.params.id, leaving ? 'read' : 'share');
+    const before = project.members.length;
+    project.members = project.members.filter(member => !member.userId.equals(req.params.userId));
+    if (project.members.length === before) {
+        throw new NotFoundError('Member not found');
+    }
+    await project.save();
+    res.status(200).json({ message: leaving ? 'You left the project' : 'Member removed' });
+}));//authenticated
+
+// who created, edited, completed or deleted which todo in the list, newest first
+app.get('/projects/:id/activity', auth, asyncHandler(async (req, res) => {
+    const { limit, before } = validate(activityQuerySchema, req.query, 'Invalid activity query');
+    const project = await findProjectFor(ProjectModel, req.userId, req.params.id, 'read');
+    const activity = await ActivityModel.find({ projectId: project._id, ...(before && { _id: { $lt: before } }) })
+        .sort({ _id: -1 })
+        .limit(limit)
+        .populate('userId', 'name email');
+    res.status(200).json({ activity, nextBefore: activity.length === limit ? activity[activity.length - 1]._id : null });
+}));//authenticated - owner and members
+
+app.post('/tags', auth, asyncHandler(async (req, res) => {
+    const { name } = validate(tagSchema, req.body, 'Invalid tag');
+    if (await TagModel.exists({ userId: req.userId, name })) {
+        throw new ConflictError(`There is already a tag called "${name}"`);
+    }
+    const tag = await TagModel.create({ name, userId: req.userId });
+    res.status(201).json({ message: 'Tag created', tag });
+}));//authenticated
+
+app.get('/tags', auth, asyncHandler(async (req, res) => {
+    const tags = await TagModel.find({ userId: req.userId }).sort({ name: 1 });
+    res.status(200).json({ tags });
+}));//authenticated
+
+// the tag also comes off every todo that carried it, shared ones included
+app.delete('/tags/:id', auth, asyncHandler(async (req, res) => {
+    const tag = await TagModel.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!tag) {
+        throw new NotFoundError('Tag not found');
+    }
+    await TodoModel.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+    res.status(200).json({ message: 'Tag deleted' });
+}));//authenticated
+
+app.use(notFoundHandler);
+app.use(problemDetailsHandler());
 
 app.listen(3000, () => {
     console.log('Server is running on port 3000');
@@ -0,0 +1,89 @@
+// Who may do what with a todo. A project is a list that its owner can share: members are other
+// registered users with the role viewer or editor.
+//
+//   owner   read, write, share (add / remove members), delete the project
+//   editor  read, write (create, edit, complete, delete todos in the list)
+//   viewer  read
+//
+// A todo in a project gets its permissions from the project, whoever created it. A todo without a
+// project (the inbox) is private to the user who created it.
+//
+// Like roles.js in week 6: routes ask for a permission, never for a role name.
+const { NotFoundError, ForbiddenError } = require('../shared/http-errors');
+
+const PROJECT_ROLES = {
+    viewer: ['read'],
+    editor: ['read', 'write'],
+    owner: ['read', 'write', 'share', 'delete'],
+};
+const MEMBER_ROLES = ['viewer', 'editor']; // owner is not a role one can be invited as
+
+function can(role, permission) {
+    return Boolean(role) && PROJECT_ROLES[role].includes(permission);
+}
+
+// 'owner', 'editor', 'viewer' or null for a project document
+function projectRole(project, userId) {
+    if (project.userId.equals(userId)) {
+        return 'owner';
+    }
+    return project.members.find(member => member.userId.equals(userId))?.role ?? null;
+}
+
+// mongo filter for the projects a user owns or is a member of
+const memberOf = userId => ({ $or: [{ userId }, { 'members.userId': userId }] });
+
+function forbidden(role, permission) {
+    const grantedBy = Object.keys(PROJECT_ROLES).filter(candidate => can(candidate, permission));
+    return new ForbiddenError(
+        `Requires the "${permission}" permission on this list, granted to: ${grantedBy.join(', ')}. Your role: ${role}`,
+        { extensions: { requiredPermission: permission, role } }
+    );
+}
+
+/**
+ * The project if the user has `permission` on it. 404 when the user is not a member at all (the
+ * project might as well not exist for them), 403 when their role is not enough.
+ */
+async function findProjectFor(ProjectModel, userId, projectId, permission) {
+    const project = await ProjectModel.findOne({ _id: projectId, ...memberOf(userId) });
+    if (!project) {
+        throw new NotFoundError('Project not found');
+    }
+    const role = projectRole(project, userId);
+    if (!can(role, permission)) {
+        throw forbidden(role, permission);
+    }
+    return project;
+}
+
+/**
+ * Filter for every todo a user can read: their inbox and the todos of every list they are in.
+ * Used as the scope of GET /todos (7.2-todo-query.js).
+ */
+async function readableTodos(ProjectModel, userId) {
+    const projects = await ProjectModel.find(memberOf(userId), { _id: 1 });
+    return { $or: [{ userId, projectId: null }, { projectId: { $in: projects.map(project => project._id) } }] };
+}
+
+/**
+ * The todo if the user has `permission` on it, with the same 404 / 403 rules as findProjectFor.
+ * Resolves { todo, project } where project is null for an inbox todo.
+ */
+async function findTodoFor(TodoModel, ProjectModel, userId, todoId, permission) {
+    const todo = await TodoModel.findById(todoId);
+    if (todo && !todo.projectId && todo.userId.equals(userId)) {
+        return { todo, project: null };
+    }
+    const project = todo?.projectId && await ProjectModel.findOne({ _id: todo.projectId, ...memberOf(userId) });
+    if (!project) {
+        throw new NotFoundError('Todo not found');
+    }
+    const role = projectRole(project, userId);
+    if (!can(role, permission)) {
+        throw forbidden(role, permission);
+    }
+    return { todo, project };
+}
+
+module.exports = { PROJECT_ROLES, MEMBER_ROLES, can, projectRole, memberOf, findProjectFor, readableTodos, findTodoFor };
@@ -0,0 +1,219 @@
+// Recurring todos: a rule like RRULE in iCalendar (RFC 5545), kept to what a todo app needs.
+//
+//   { freq: 'daily', interval: 2 }                                   every other day
+//   { freq: 'weekly', byWeekday: ['MO', 'TH'] }                      every Monday and Thursday
+//   { freq: 'monthly', nth: 2, weekday: 'TU' }                        every 2nd Tuesday (nth: -1 = the last)
+//   + timeZone: 'Europe/Berlin', until: <date> or count: <occurrences>
+//
+// The todo's dueBy is the first occurrence. The rule works on the wall clock of its time zone, not
+// on UTC: "weekly, 9:00 Berlin" stays at 9:00 Berlin after the clocks change (08:00Z in winter,
+// 07:00Z in summer). Adding 7 * 24 hours would move it to 10:00 or 08:00 instead.
+// Time zone offsets come from Intl (the tz database shipped with node), no date library needed.
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const formatters = new Map();
+function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// what the clocks in timeZone show at `timeMs`: { year, month (1-12), day, hour, minute, second, millisecond }
+function wallClock(timeMs, timeZone) {
+    const parts = {};
+    for (const { type, value } of formatter(timeZone).formatToParts(new Date(timeMs))) {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second,
+        millisecond: new Date(timeMs).getUTCMilliseconds(),
+    };
+}
+
+const wallClockAsUtc = wall => Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second, wall.millisecond);
+
+// how far timeZone is ahead of UTC at `timeMs` (+1h for Berlin in winter)
+function offsetMs(timeMs, timeZone) {
+    return wallClockAsUtc(wallClock(timeMs, timeZone)) - timeMs;
+}
+
+/**
+ * The instant at which the clocks in timeZone show `wall`. Around a DST change there is no exact
+ * answer: a time skipped when the clocks go forward moves forward by the gap (02:30 -> 03:30) and
+ * a time that happens twice when they go back is the first of the two.
+ */
+function fromWallClock(wall, timeZone) {
+    const asUtc = wallClockAsUtc(wall);
+    // the offsets a day before and after cover both sides of any DST change near this time
+    const before = asUtc - offsetMs(asUtc - DAY_MS, timeZone);
+    const after = asUtc - offsetMs(asUtc + DAY_MS, timeZone);
+    const matches = [before, after].filter(candidate => wallClockAsUtc(wallClock(candidate, timeZone)) === asUtc);
+    return matches.length > 0 ? Math.min(...matches) : before;
+}
+
+// calendar days are handled as "midnight UTC" timestamps, only the date part matters
+const weekdayOf = day => (new Date(day).getUTCDay() + 6) % 7; // 0 = Monday
+
+function nthWeekdayOfMonth(year, monthIndex, weekday, nth) {
+    if (nth > 0) {
+        const first = Date.UTC(year, monthIndex, 1);
+        return first + (((weekday - weekdayOf(first) + 7) % 7) + (nth - 1) * 7) * DAY_MS;
+    }
+    const last = Date.UTC(year, monthIndex + 1, 0);
+    return last - ((weekdayOf(last) - weekday + 7) % 7) * DAY_MS;
+}
+
+// the calendar day (midnight UTC) that `dueBy` falls on in timeZone
+function calendarDay(dueBy, timeZone) {
+    const local = wallClock(dueBy.getTime(), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day);
+}
+
+// { nth, weekday } of a monthly rule. Without them: the position of `day`, e.g. "the 3rd Friday"
+// (a 5th weekday does not exist in every month, it becomes the last one)
+function monthlyPosition(rule, day) {
+    const dayOfMonth = new Date(day).getUTCDate();
+    return {
+        nth: rule.nth ?? (dayOfMonth > 28 ? -1 : Math.ceil(dayOfMonth / 7)),
+        weekday: rule.weekday ?? WEEKDAYS[weekdayOf(day)],
+    };
+}
+
+// the calendar day of the occurrence after `day`
+function nextDay(rule, day) {
+    const interval = rule.interval || 1;
+    switch (rule.freq) {
+        case 'daily':
+            return day + interval * DAY_MS;
+        case 'weekly': {
+            // without byWeekday: the weekday of the first occurrence
+            const weekdays = rule.byWeekday?.length
+                ? rule.byWeekday.map(weekday => WEEKDAYS.indexOf(weekday)).sort((a, b) => a - b)
+                : [weekdayOf(day)];
+            const current = weekdayOf(day);
+            const laterThisWeek = weekdays.find(weekday => weekday > current);
+            if (laterThisWeek !== undefined) {
+                return day + (laterThisWeek - current) * DAY_MS;
+            }
+            const monday = day - current * DAY_MS;
+            return monday + (interval * 7 + weekdays[0]) * DAY_MS;
+        }
+        case 'monthly': {
+            const { nth, weekday } = monthlyPosition(rule, day);
+            const date = new Date(day);
+            return nthWeekdayOfMonth(date.getUTCFullYear(), date.getUTCMonth() + interval, WEEKDAYS.indexOf(weekday), nth);
+        }
+        default:
+            throw new Error(`Unknown recurrence frequency "${rule.freq}"`);
+    }
+}
+
+// "09:00:00" in the rule's time zone, kept with the series so an occurrence moved by a DST gap
+// (02:30 -> 03:30) does not move all the ones after it
+function timeOfDay(dueBy, timeZone) {
+    const { hour, minute, second } = wallClock(dueBy.getTime(), timeZone);
+    return [hour, minute, second].map(value => String(value).padStart(2, '0')).join(':');
+}
+
+/**
+ * The due date of the occurrence after the one due at `dueBy`, at the series' wall clock time in
+ * the rule's time zone. null when the series is over (`count` occurrences reached or past `until`).
+ * @param {object} rule { freq, interval, byWeekday, nth, weekday, timeZone, until, count, occurrence, time }
+ * @param {Date} dueBy
+ * @returns {Date | null}
+ */
+function nextOccurrence(rule, dueBy) {
+    if (rule.count && (rule.occurrence ?? 1) >= rule.count) {
+        return null;
+    }
+    const timeZone = rule.timeZone || 'UTC';
+    const day = new Date(nextDay(rule, calendarDay(dueBy, timeZone)));
+    const [hour, minute, second] = (rule.time ?? timeOfDay(dueBy, timeZone)).split(':').map(Number);
+    const next = new Date(fromWallClock({
+        hour,
+        minute,
+        second,
+        millisecond: 0,
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate(),
+    }, timeZone));
+    if (rule.until && next > rule.until) {
+        return null;
+    }
+    return next;
+}
+
+/**
+ * Creates the todo for the next occurrence when a recurring todo was completed: same title,
+ * project, tags and subtasks (not ticked off), the next due date. The series' time of day and, for
+ * a monthly rule, its position in the month are saved from the first occurrence: worked out again
+ * from a later one, "the last Thursday" on the 26th would become "the 4th Thursday".
+ * Resolves the new todo, or null when the todo does not recur, the series is over, or the next
+ * occurrence already exists (completing, reopening and completing again does not create a second
+ * one, see the unique index on recurrence.previousId in 7.2-db.js).
+ */
+async function createNextOccurrence(TodoModel, todo) {
+    if (!todo.recurrence || !todo.dueBy) {
+        return null;
+    }
+    const rule = todo.recurrence.toObject();
+    const dueBy = nextOccurrence(rule, todo.dueBy);
+    if (!dueBy) {
+        return null;
+    }
+    try {
+        return await TodoModel.create({
+            title: todo.title,
+            done: false,
+            userId: todo.userId,
+            dueBy,
+            projectId: todo.projectId,
+            tags: todo.tags.map(tag => tag._id ?? tag),
+            subtasks: todo.subtasks.map(subtask => ({ title: subtask.title })),
+            recurrence: {
+                ...rule,
+                occurrence: (rule.occurrence ?? 1) + 1,
+                time: rule.time ?? timeOfDay(todo.dueBy, rule.timeZone || 'UTC'),
+                ...(rule.freq === 'monthly' && monthlyPosition(rule, calendarDay(todo.dueBy, rule.timeZone || 'UTC'))),
+                seriesId: rule.seriesId ?? todo._id,
+                previousId: todo._id,
+            },
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return null;
+        }
+        throw err;
+    }
+}
+
+module.exports = { WEEKDAYS, isTimeZone, wallClock, fromWallClock, monthlyPosition, nextOccurrence, createNextOccurrence };
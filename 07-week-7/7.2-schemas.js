@@ -0,0 +1,197 @@
+// zod schemas for the todo routes in 7.2-password-zod.js
+//npm install zod
+const { z } = require('zod');
+const { ValidationError, BadRequestError } = require('../shared/http-errors');
+const { WEEKDAYS, isTimeZone } = require('./7.2-recurrence');
+const { MEMBER_ROLES } = require('./7.2-permissions');
+
+const TITLE_MAX_LENGTH = 200;
+
+const title = z.string().trim()
+    .min(1, 'Title must not be empty')
+    .max(TITLE_MAX_LENGTH, `Title must be at most ${TITLE_MAX_LENGTH} characters`);
+
+// "2025-03-01" or "2025-03-01T09:00:00Z" / "2025-03-01T09:00:00+01:00" (a time needs its offset,
+// otherwise it would mean whatever time zone the server runs in), turned into a Date
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+// the pattern alone lets 2025-02-30 through (Date rolls it over to March 2nd)
+function isIsoDate(value) {
+    if (!ISO_DATE.test(value)) {
+        return false;
+    }
+    const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+    const calendarDay = new Date(Date.UTC(year, month - 1, day));
+    return calendarDay.getUTCMonth() === month - 1 && calendarDay.getUTCDate() === day && !Number.isNaN(Date.parse(value));
+}
+
+const isoDate = z.string()
+    .refine(isIsoDate, 'Must be an ISO 8601 date, e.g. 2025-03-01 or 2025-03-01T09:00:00Z')
+    .transform(value => new Date(value));
+
+const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, 'Must be an ObjectId');
+const MAX_TAGS = 20;
+const MAX_SUBTASKS = 50;
+const tagIds = z.array(objectId).max(MAX_TAGS, `At most ${MAX_TAGS} tags`)
+    .transform(ids => [...new Set(ids)]);
+
+const subtaskSchema = z.object({ title }).strict();
+
+const weekday = z.enum(WEEKDAYS);
+// see 7.2-recurrence.js, e.g. { freq: 'weekly', byWeekday: ['MO', 'TH'], timeZone: 'Europe/Berlin', count: 10 }
+const recurrenceSchema = z.object({
+    freq: z.enum(['daily', 'weekly', 'monthly']),
+    interval: z.number().int().min(1).max(99).default(1), // every n days / weeks / months
+    byWeekday: z.array(weekday).min(1).max(7).transform(days => [...new Set(days)]).optional(),
+    nth: z.number().int().refine(nth => nth === -1 || (nth >= 1 && nth <= 4), 'Must be 1 to 4, or -1 for the last').optional(),
+    weekday: weekday.optional(),
+    timeZone: z.string().refine(isTimeZone, 'Unknown time zone, use an IANA name like Europe/Berlin').default('UTC'),
+    until: isoDate.optional(),
+    count: z.number().int().min(1).max(1000).optional(), // occurrences in total, including the first
+}).strict()
+    .refine(rule => !(rule.until && rule.count), { message: 'Use either until or count, not both' })
+    .refine(rule => rule.freq === 'weekly' || !rule.byWeekday, { message: 'byWeekday only goes with freq weekly', path: ['byWeekday'] })
+    .refine(rule => rule.freq === 'monthly' || (rule.nth === undefined && !rule.weekday), {
+        message: 'nth and weekday only go with freq monthly',
+        path: ['nth'],
+    })
+    .refine(rule => (rule.nth === undefined) === (rule.weekday === undefined), {
+        message: 'nth and weekday go together, e.g. { nth: 2, weekday: "TU" }',
+        path: ['nth'],
+    });
+
+// the due date is the first occurrence, a todo cannot recur without one
+const RECURRENCE_NEEDS_DUE_BY = { message: 'A recurring todo needs a dueBy, its first occurrence', path: ['dueBy'] };
+
+// POST /todos, without projectId the todo goes to the inbox
+const createTodoSchema = z.object({
+    title,
+    dueBy: isoDate.optional(),
+    done: z.boolean().optional().default(false),
+    projectId: objectId.nullable().optional(),
+    tags: tagIds.optional().default([]),
+    subtasks: z.array(subtaskSchema).max(MAX_SUBTASKS).optional().default([]),
+    recurrence: recurrenceSchema.optional(),
+}).strict().refine(todo => !todo.recurrence || todo.dueBy, RECURRENCE_NEEDS_DUE_BY);
+
+// PUT /todos/:id replaces the todo: a field that is left out goes back to its default
+// (subtasks have their own routes and are kept)
+const replaceTodoSchema = z.object({
+    title,
+    dueBy: isoDate.nullable().optional().default(null),
+    done: z.boolean().optional().default(false),
+    projectId: objectId.nullable().optional().default(null),
+    tags: tagIds.optional().default([]),
+    recurrence: recurrenceSchema.nullable().optional().default(null),
+}).strict().refine(todo => !todo.recurrence || todo.dueBy, RECURRENCE_NEEDS_DUE_BY);
+
+// PATCH /todos/:id changes only the fields that are sent, dueBy / projectId / recurrence: null removes
+// the due date / project / recurrence (removing the due date also ends the recurrence)
+const updateTodoSchema = z.object({
+    title: title.optional(),
+    dueBy: isoDate.nullable().optional(),
+    done: z.boolean().optional(),
+    projectId: objectId.nullable().optional(),
+    tags: tagIds.optional(),
+    recurrence: recurrenceSchema.nullable().optional(),
+}).strict().refine(changes => Object.keys(changes).length > 0, {
+    message: 'Send at least one of title, dueBy, done, projectId, tags, recurrence',
+}).refine(changes => !(changes.recurrence && changes.dueBy === null), RECURRENCE_NEEDS_DUE_BY);
+
+// PATCH /todos/:id/subtasks/:subtaskId
+const updateSubtaskSchema = z.object({
+    title: title.optional(),
+    done: z.boolean().optional(),
+}).strict().refine(changes => Object.keys(changes).length > 0, {
+    message: 'Send at least one of title, done',
+});
+
+const name = z.string().trim().min(1, 'Name must not be empty').max(100, 'Name must be at most 100 characters');
+// POST /projects, POST /tags
+const projectSchema = z.object({ name }).strict();
+const tagSchema = z.object({ name: name.max(50, 'Name must be at most 50 characters') }).strict();
+
+// DELETE /projects/:id?todos=cascade deletes its todos, todos=reassign (default) moves them to
+// the project `reassignTo` or, without it, to the inbox
+const deleteProjectQuerySchema = z.object({
+    todos: z.enum(['cascade', 'reassign']).default('reassign'),
+    reassignTo: objectId.optional(),
+}).strict().refine(query => !(query.todos === 'cascade' && query.reassignTo), {
+    message: 'reassignTo only goes with todos=reassign',
+});
+
+// POST /projects/:id/members: share a project with a registered user
+const inviteMemberSchema = z.object({
+    email: z.string().trim().email(),
+    role: z.enum(MEMBER_ROLES),
+}).strict();
+
+// PATCH /projects/:id/members/:userId
+const updateMemberSchema = z.object({ role: z.enum(MEMBER_ROLES) }).strict();
+
+// GET /projects/:id/activity?limit=50&before=<id of the last entry seen>, newest first
+const activityQuerySchema = z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    before: objectId.optional(),
+}).strict();
+
+// "true" / "false" in a query string
+const queryBoolean = z.enum(['true', 'false']).transform(value => value === 'true');
+const DURATION_UNITS_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// GET /todos?done=false&overdue=true&dueWithin=7d&q=milk&sort=-dueBy&limit=20&cursor=...
+const listTodosQuerySchema = z.object({
+    done: queryBoolean.optional(),
+    overdue: queryBoolean.optional(), // dueBy in the past and not done
+    dueAfter: isoDate.optional(),
+    dueBefore: isoDate.optional(),
+    // "12h", "3d", "2w": due between now and then
+    dueWithin: z.string()
+        .regex(/^\d{1,4}[hdw]$/, 'Must be a number followed by h, d or w, e.g. 3d')
+        .transform(value => Number(value.slice(0, -1)) * DURATION_UNITS_MS[value.slice(-1)])
+        .optional(),
+    q: z.string().trim().min(1).max(100).optional(), // words in the title
+    sort: z.enum(['createdAt', '-createdAt', 'dueBy', '-dueBy']).default('-createdAt'),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    cursor: z.string().max(200).optional(),
+    projectId: z.union([objectId, z.literal('inbox')]).optional(), // "inbox": todos without a project
+    tag: objectId.optional(),
+}).strict().refine(query => !(query.overdue && query.done), {
+    message: 'overdue=true only matches todos that are not done, it cannot be combined with done=true',
+});
+
+// parses `data` or throws a ValidationError (400) listing every problem
+function validate(schema, data, detail = 'Validation failed') {
+    const result = schema.safeParse(data ?? {});
+    if (!result.success) {
+        throw new ValidationError(detail, result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message })));
+    }
+    return result.data;
+}
+
+// app.param handler: a malformed id is a bad request, not a CastError from deep inside mongoose
+function validateObjectIdParam(req, res, next, value, name) {
+    if (!objectId.safeParse(value).success) {
+        return next(new BadRequestError(`Invalid ${name}: ${JSON.stringify(value)} is not an ObjectId`));
+    }
+    next();
+}
+
+module.exports = {
+    createTodoSchema,
+    replaceTodoSchema,
+    updateTodoSchema,
+    updateSubtaskSchema,
+    subtaskSchema,
+    recurrenceSchema,
+    projectSchema,
+    tagSchema,
+    deleteProjectQuerySchema,
+    inviteMemberSchema,
+    updateMemberSchema,
+    activityQuerySchema,
+    listTodosQuerySchema,
+    objectId,
+    validate,
+    validateObjectIdParam,
+};
@@ -0,0 +1,114 @@
+// Builds the mongo query behind GET /todos: filters, sort and cursor pagination.
+//
+// Cursor pagination instead of ?page=3: "skip 40" gets slower with every page and shows duplicates
+// or misses todos when one is added or deleted while paging. A cursor is the sort value + _id of the
+// last todo on the page, the next page starts right after it: { dueBy > last.dueBy } or
+// { dueBy = last.dueBy and _id > last._id } (the _id breaks ties, dueBy / createdAt are not unique).
+// Every sort has indexes in 7.2-db.js that start with userId (inbox) or projectId (lists), so a page
+// is a few index range scans.
+const mongoose = require('mongoose');
+const { BadRequestError } = require('../shared/http-errors');
+
+function encodeCursor(todo, field) {
+    const value = todo[field] ? todo[field].toISOString() : null;
+    return Buffer.from(JSON.stringify({ v: value, id: todo._id.toString() })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!mongoose.isValidObjectId(id) || (v !== null && Number.isNaN(Date.parse(v)))) {
+            throw new Error('malformed');
+        }
+        return { value: v === null ? null : new Date(v), id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        throw new BadRequestError('Invalid cursor, use the nextCursor of the previous page');
+    }
+}
+
+// todos without a dueBy sort first ascending and last descending (mongo sorts missing/null lowest)
+function afterCursor(field, ascending, { value, id }) {
+    const idAfter = { _id: ascending ? { $gt: id } : { $lt: id } };
+    if (value === null) {
+        return ascending
+            ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+            : { [field]: null, ...idAfter };
+    }
+    return ascending
+        ? { $or: [{ [field]: { $gt: value } }, { [field]: value, ...idAfter }] }
+        : { $or: [{ [field]: { $lt: value } }, { [field]: value, ...idAfter }, { [field]: null }] };
+}
+
+/**
+ * @param {object} scope who may see which todos, e.g. readableTodos() from 7.2-permissions.js or { projectId }
+ * @param {object} query parsed listTodosQuerySchema
+ * @returns {{ filter, sort, limit, field }}
+ */
+function buildTodoListQuery(scope, query, now = new Date()) {
+    const conditions = [scope];
+
+    if (query.projectId) {
+        conditions.push({ projectId: query.projectId === 'inbox' ? null : query.projectId });
+    }
+    if (query.tag) {
+        conditions.push({ tags: query.tag });
+    }
+    if (query.done !== undefined) {
+        conditions.push({ done: query.done });
+    }
+    const overdue = { dueBy: { $lt: now }, done: { $ne: true } };
+    if (query.overdue === true) {
+        conditions.push(overdue);
+    } else if (query.overdue === false) {
+        conditions.push({ $nor: [overdue] });
+    }
+
+    const dueRange = {};
+    if (query.dueAfter) {
+        dueRange.$gte = query.dueAfter;
+    }
+    if (query.dueBefore) {
+        dueRange.$lte = query.dueBefore;
+    }
+    if (query.dueWithin) {
+        conditions.push({ dueBy: { $gte: now, $lte: new Date(now.getTime() + query.dueWithin) } });
+    }
+    if (Object.keys(dueRange).length > 0) {
+        conditions.push({ dueBy: dueRange });
+    }
+    // text index on title: whole words, case-insensitive, "milk eggs" matches either
+    if (query.q) {
+        conditions.push({ $text: { $search: query.q } });
+    }
+
+    const ascending = !query.sort.startsWith('-');
+    const field = query.sort.replace(/^-/, '');
+    if (query.cursor) {
+        conditions.push(afterCursor(field, ascending, decodeCursor(query.cursor)));
+    }
+
+    const direction = ascending ? 1 : -1;
+    return {
+        filter: conditions.length === 1 ? conditions[0] : { $and: conditions },
+        sort: { [field]: direction, _id: direction },
+        limit: query.limit,
+        field,
+    };
+}
+
+/**
+ * Runs the query, fetching one todo more than the page size to know whether there is a next page.
+ * Resolves { todos, nextCursor } with nextCursor null on the last page, tags populated.
+ */
+async function findTodoPage(TodoModel, scope, query) {
+    const { filter, sort, limit, field } = buildTodoListQuery(scope, query);
+    const todos = await TodoModel.find(filter).sort(sort).limit(limit + 1).populate('tags', 'name');
+    const hasMore = todos.length > limit;
+    const page = hasMore ? todos.slice(0, limit) : todos;
+    return {
+        todos: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null,
+    };
+}
+
+module.exports = { buildTodoListQuery, findTodoPage, encodeCursor, decodeCursor };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { can, projectRole, findProjectFor, findTodoFor } = require('../7.2-permissions');
+const { NotFoundError, ForbiddenError } = require('../../shared/http-errors');
+
+const objectId = () => new mongoose.Types.ObjectId();
+const owner = objectId();
+const editor = objectId();
+const viewer = objectId();
+const stranger = objectId();
+
+const project = {
+    _id: objectId(),
+    userId: owner,
+    members: [{ userId: editor, role: 'editor' }, { userId: viewer, role: 'viewer' }],
+};
+const isMember = userId => projectRole(project, userId) !== null;
+// findOne as the database would answer it: only projects the user owns or is a member of
+const ProjectModel = {
+    findOne: async filter => (filter._id.equals(project._id) && isMember(filter.$or[0].userId) ? project : null),
+};
+
+const sharedTodo = { _id: objectId(), userId: editor, projectId: project._id };
+const inboxTodo = { _id: objectId(), userId: owner, projectId: null };
+const TodoModel = {
+    findById: async id => [sharedTodo, inboxTodo].find(todo => todo._id.equals(id)) ?? null,
+};
+
+test('roles grant permissions, no role grants nothing', () => {
+    assert.ok(can('owner', 'delete'));
+    assert.ok(can('editor', 'write'));
+    assert.ok(!can('editor', 'share'));
+    assert.ok(can('viewer', 'read'));
+    assert.ok(!can('viewer', 'write'));
+    assert.ok(!can(null, 'read'));
+});
+
+test('projectRole: owner, member role or null', () => {
+    assert.strictEqual(projectRole(project, owner), 'owner');
+    assert.strictEqual(projectRole(project, editor), 'editor');
+    assert.strictEqual(projectRole(project, viewer), 'viewer');
+    assert.strictEqual(projectRole(project, stranger), null);
+});
+
+test('findProjectFor: a member without the permission gets a 403 that names it', async () => {
+    assert.strictEqual(await findProjectFor(ProjectModel, owner, project._id, 'share'), project);
+    await assert.rejects(findProjectFor(ProjectModel, editor, project._id, 'share'), error => {
+        assert.ok(error instanceof ForbiddenError);
+        assert.deepStrictEqual(error.extensions, { requiredPermission: 'share', role: 'editor' });
+        return true;
+    });
+});
+
+test('findProjectFor: a non-member gets a 404, whatever the permission', async () => {
+    for (const permission of ['read', 'delete']) {
+        await assert.rejects(findProjectFor(ProjectModel, stranger, project._id, permission), NotFoundError);
+    }
+});
+
+test('findTodoFor: a shared todo follows the project role, not who created it', async () => {
+    const { todo, project: found } = await findTodoFor(TodoModel, ProjectModel, viewer, sharedTodo._id, 'read');
+    assert.strictEqual(todo, sharedTodo);
+    assert.strictEqual(found, project);
+    await assert.rejects(findTodoFor(TodoModel, ProjectModel, viewer, sharedTodo._id, 'write'), ForbiddenError);
+    assert.ok(await findTodoFor(TodoModel, ProjectModel, owner, sharedTodo._id, 'write'));
+    await assert.rejects(findTodoFor(TodoModel, ProjectModel, stranger, sharedTodo._id, 'read'), NotFoundError);
+});
+
+test('findTodoFor: an inbox todo is only found by its creator', async () => {
+    assert.deepStrictEqual(await findTodoFor(TodoModel, ProjectModel, owner, inboxTodo._id, 'write'), { todo: inboxTodo, project: null });
+    await assert.rejects(findTodoFor(TodoModel, ProjectModel, editor, inboxTodo._id, 'read'), NotFoundError);
+    await assert.rejects(findTodoFor(TodoModel, ProjectModel, owner, objectId(), 'read'), NotFoundError);
+});
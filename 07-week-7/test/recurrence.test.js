@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { nextOccurrence, createNextOccurrence, fromWallClock } = require('../7.2-recurrence');
+
+const at = iso => new Date(iso);
+const next = (rule, dueBy) => nextOccurrence(rule, at(dueBy))?.toISOString() ?? null;
+
+// a todo as createNextOccurrence sees it, recurrence is a mongoose subdocument there
+function fakeTodo({ recurrence, ...fields }) {
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Pay rent',
+        userId: new mongoose.Types.ObjectId(),
+        projectId: null,
+        tags: [],
+        subtasks: [],
+        ...fields,
+        recurrence: recurrence && { ...recurrence, toObject: () => ({ ...recurrence }) },
+    };
+}
+const TodoModel = { create: async fields => fakeTodo(fields) };
+
+test('daily and weekly rules', () => {
+    assert.strictEqual(next({ freq: 'daily', interval: 2 }, '2026-01-30T09:00:00Z'), '2026-02-01T09:00:00.000Z');
+    // Thursday -> the next Monday, Monday -> Thursday of the same week
+    const rule = { freq: 'weekly', byWeekday: ['MO', 'TH'] };
+    assert.strictEqual(next(rule, '2026-01-08T09:00:00Z'), '2026-01-12T09:00:00.000Z');
+    assert.strictEqual(next(rule, '2026-01-12T09:00:00Z'), '2026-01-15T09:00:00.000Z');
+    assert.strictEqual(next({ ...rule, interval: 2 }, '2026-01-15T09:00:00Z'), '2026-01-26T09:00:00.000Z');
+});
+
+test('monthly rules with an nth weekday', () => {
+    // 2nd Tuesday
+    assert.strictEqual(next({ freq: 'monthly', nth: 2, weekday: 'TU' }, '2026-01-13T09:00:00Z'), '2026-02-10T09:00:00.000Z');
+    // last Friday
+    assert.strictEqual(next({ freq: 'monthly', nth: -1, weekday: 'FR' }, '2026-01-30T09:00:00Z'), '2026-02-27T09:00:00.000Z');
+    // without nth / weekday: the position of the due date, the 3rd Friday
+    assert.strictEqual(next({ freq: 'monthly' }, '2026-01-16T09:00:00Z'), '2026-02-20T09:00:00.000Z');
+});
+
+test('the wall clock time stays the same across a DST change', () => {
+    const rule = { freq: 'weekly', timeZone: 'Europe/Berlin' };
+    // 09:00 Berlin: 08:00Z in winter, 07:00Z after the clocks went forward on 2026-03-29
+    assert.strictEqual(next(rule, '2026-03-23T08:00:00Z'), '2026-03-30T07:00:00.000Z');
+    assert.strictEqual(next(rule, '2026-10-19T07:00:00Z'), '2026-10-26T08:00:00.000Z');
+});
+
+test('a time skipped by DST moves forward by the gap, only for that one occurrence', () => {
+    const rule = { freq: 'daily', timeZone: 'Europe/Berlin', time: '02:30:00' };
+    // 02:30 does not exist on 2026-03-29 in Berlin, it becomes 03:30 CEST
+    assert.strictEqual(next(rule, '2026-03-28T01:30:00Z'), '2026-03-29T01:30:00.000Z');
+    assert.strictEqual(next(rule, '2026-03-29T01:30:00Z'), '2026-03-30T00:30:00.000Z');
+});
+
+test('a time that happens twice when the clocks go back is the first of the two', () => {
+    const wall = { year: 2026, month: 10, day: 25, hour: 2, minute: 30, second: 0, millisecond: 0 };
+    assert.strictEqual(new Date(fromWallClock(wall, 'Europe/Berlin')).toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('a series ends after count occurrences or after until', () => {
+    assert.strictEqual(next({ freq: 'daily', count: 3, occurrence: 3 }, '2026-01-10T09:00:00Z'), null);
+    assert.strictEqual(next({ freq: 'daily', count: 3, occurrence: 2 }, '2026-01-10T09:00:00Z'), '2026-01-11T09:00:00.000Z');
+    assert.strictEqual(next({ freq: 'daily', until: at('2026-01-10T23:59:59Z') }, '2026-01-10T09:00:00Z'), null);
+});
+
+test('the next occurrence keeps the series going and links back to the previous todo', async () => {
+    const todo = fakeTodo({ dueBy: at('2026-01-10T09:00:00Z'), recurrence: { freq: 'daily', timeZone: 'UTC' } });
+    const created = await createNextOccurrence(TodoModel, todo);
+    assert.strictEqual(created.dueBy.toISOString(), '2026-01-11T09:00:00.000Z');
+    assert.strictEqual(created.done, false);
+    assert.strictEqual(created.recurrence.occurrence, 2);
+    assert.strictEqual(created.recurrence.time, '09:00:00');
+    assert.ok(created.recurrence.seriesId.equals(todo._id));
+    assert.ok(created.recurrence.previousId.equals(todo._id));
+});
+
+test('a monthly series that starts on a 5th weekday stays on the last one', async () => {
+    // 2026-01-29 is the 5th (and last) Thursday of January
+    let todo = fakeTodo({ dueBy: at('2026-01-29T09:00:00Z'), recurrence: { freq: 'monthly', timeZone: 'UTC' } });
+    const dueDates = [];
+    for (let i = 0; i < 4; i++) {
+        todo = await createNextOccurrence(TodoModel, todo);
+        dueDates.push(todo.dueBy.toISOString().slice(0, 10));
+    }
+    assert.deepStrictEqual(dueDates, ['2026-02-26', '2026-03-26', '2026-04-30', '2026-05-28']);
+    assert.strictEqual(todo.recurrence.nth, -1);
+    assert.strictEqual(todo.recurrence.weekday, 'TH');
+});
+
+test('no next occurrence without a rule, a due date, or when it exists already', async () => {
+    assert.strictEqual(await createNextOccurrence(TodoModel, fakeTodo({ dueBy: at('2026-01-10T09:00:00Z') })), null);
+    assert.strictEqual(await createNextOccurrence(TodoModel, fakeTodo({ recurrence: { freq: 'daily' } })), null);
+    const duplicate = { create: async () => { throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 }); } };
+    const todo = fakeTodo({ dueBy: at('2026-01-10T09:00:00Z'), recurrence: { freq: 'daily' } });
+    assert.strictEqual(await createNextOccurrence(duplicate, todo), null);
+});
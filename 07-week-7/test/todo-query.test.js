@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { buildTodoListQuery, encodeCursor, decodeCursor } = require('../7.2-todo-query');
+const { BadRequestError } = require('../../shared/http-errors');
+
+const id = new mongoose.Types.ObjectId();
+const scope = { userId: new mongoose.Types.ObjectId() };
+const now = new Date('2026-03-01T12:00:00Z');
+const query = overrides => ({ sort: '-createdAt', limit: 20, ...overrides });
+const cursorFor = dueBy => encodeCursor({ _id: id, dueBy }, 'dueBy');
+
+test('a cursor decodes to the sort value and _id it was made from', () => {
+    const dueBy = new Date('2026-03-05T09:00:00Z');
+    const { value, id: decodedId } = decodeCursor(encodeCursor({ _id: id, dueBy }, 'dueBy'));
+    assert.deepStrictEqual(value, dueBy);
+    assert.ok(decodedId.equals(id));
+
+    assert.strictEqual(decodeCursor(encodeCursor({ _id: id, dueBy: null }, 'dueBy')).value, null);
+});
+
+test('a malformed or tampered cursor is a 400', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    for (const cursor of ['not base64 json', encode({ v: null, id: 'nope' }), encode({ v: 'yesterday', id: id.toString() })]) {
+        assert.throws(() => decodeCursor(cursor), BadRequestError);
+    }
+});
+
+test('without filters or a cursor the scope is the whole filter', () => {
+    const { filter, sort, limit, field } = buildTodoListQuery(scope, query(), now);
+    assert.deepStrictEqual(filter, scope);
+    assert.deepStrictEqual(sort, { createdAt: -1, _id: -1 });
+    assert.strictEqual(limit, 20);
+    assert.strictEqual(field, 'createdAt');
+});
+
+test('filters are and-ed with the scope', () => {
+    const { filter } = buildTodoListQuery(scope, query({ projectId: 'inbox', done: false, dueWithin: 60 * 60 * 1000 }), now);
+    assert.deepStrictEqual(filter, {
+        $and: [
+            scope,
+            { projectId: null },
+            { done: false },
+            { dueBy: { $gte: now, $lte: new Date('2026-03-01T13:00:00Z') } },
+        ],
+    });
+});
+
+test('overdue=false excludes exactly the overdue todos', () => {
+    const { filter } = buildTodoListQuery(scope, query({ overdue: false }), now);
+    assert.deepStrictEqual(filter.$and[1], { $nor: [{ dueBy: { $lt: now }, done: { $ne: true } }] });
+});
+
+// todos without a dueBy sort first ascending, last descending
+test('after a dated todo, ascending: later dates, then the same date with a higher _id', () => {
+    const dueBy = new Date('2026-03-05T09:00:00Z');
+    const { filter, sort } = buildTodoListQuery(scope, query({ sort: 'dueBy', cursor: cursorFor(dueBy) }), now);
+    assert.deepStrictEqual(sort, { dueBy: 1, _id: 1 });
+    assert.deepStrictEqual(filter.$and[1], { $or: [{ dueBy: { $gt: dueBy } }, { dueBy, _id: { $gt: id } }] });
+});
+
+test('after a dated todo, descending: earlier dates, the same date with a lower _id, then the undated ones', () => {
+    const dueBy = new Date('2026-03-05T09:00:00Z');
+    const { filter } = buildTodoListQuery(scope, query({ sort: '-dueBy', cursor: cursorFor(dueBy) }), now);
+    assert.deepStrictEqual(filter.$and[1], {
+        $or: [{ dueBy: { $lt: dueBy } }, { dueBy, _id: { $lt: id } }, { dueBy: null }],
+    });
+});
+
+test('after an undated todo, ascending: the other undated ones with a higher _id, then every dated one', () => {
+    const { filter } = buildTodoListQuery(scope, query({ sort: 'dueBy', cursor: cursorFor(null) }), now);
+    assert.deepStrictEqual(filter.$and[1], { $or: [{ dueBy: null, _id: { $gt: id } }, { dueBy: { $ne: null } }] });
+});
+
+test('after an undated todo, descending: only the undated ones with a lower _id are left', () => {
+    const { filter } = buildTodoListQuery(scope, query({ sort: '-dueBy', cursor: cursorFor(null) }), now);
+    assert.deepStrictEqual(filter.$and[1], { dueBy: null, _id: { $lt: id } });
+});
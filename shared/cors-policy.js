@@ -0,0 +1,148 @@
+// CORS driven by one declarative policy instead of stacked hand-written middlewares.
+//
+//   app.use(corsPolicy({
+//       defaults: { origins: ['https://myapp.com', 'https://*.myapp.com'], credentials: true },
+//       routes: [
+//           { path: '/public', origins: '*' },
+//           { path: /^\/api\//, origins: ['http://localhost:3001'], methods: ['GET', 'POST'], maxAge: 600 },
+//       ],
+//   }));
+//
+// Mount it before the routes: preflight (OPTIONS) requests are answered here and never reach them.
+
+const { ForbiddenError } = require('./http-errors');
+
+const DEFAULT_RULE = {
+    origins: [],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: [],
+    credentials: false,
+    maxAge: 600,
+};
+
+// "https://*.myapp.com" matches any subdomain (a.myapp.com, a.b.myapp.com) but not myapp.com itself,
+// scheme and port have to match exactly
+function originMatcher(pattern) {
+    if (pattern === '*') {
+        return () => true;
+    }
+    if (!pattern.includes('*')) {
+        return origin => origin === pattern;
+    }
+    const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+        .join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+    const regex = new RegExp(`^${source}$`, 'i');
+    return origin => regex.test(origin);
+}
+
+function pathMatcher(path) {
+    if (path instanceof RegExp) {
+        return requestPath => path.test(requestPath);
+    }
+    // "/api/*" is a prefix, anything else has to match exactly
+    if (path.endsWith('*')) {
+        const prefix = path.slice(0, -1);
+        return requestPath => requestPath.startsWith(prefix);
+    }
+    return requestPath => requestPath === path;
+}
+
+function compileRule(rule, defaults, index) {
+    const merged = { ...DEFAULT_RULE, ...defaults, ...rule };
+    const origins = merged.origins === '*' ? ['*'] : merged.origins;
+    const anyOrigin = origins.includes('*');
+    // browsers reject "Access-Control-Allow-Origin: *" on credentialed requests, and reflecting
+    // every origin instead would hand any site the user's cookies, so this is a config error
+    if (anyOrigin && merged.credentials) {
+        throw new Error(`CORS rule ${rule.path ?? index}: origins "*" cannot be combined with credentials: true, list the allowed origins instead`);
+    }
+    return {
+        matchesPath: rule.path === undefined ? () => true : pathMatcher(rule.path),
+        anyOrigin,
+        originMatchers: origins.map(originMatcher),
+        methods: merged.methods.map(method => method.toUpperCase()),
+        allowedHeaders: merged.allowedHeaders.map(header => header.toLowerCase()),
+        allowedHeadersValue: merged.allowedHeaders.join(', '),
+        exposedHeaders: merged.exposedHeaders.join(', '),
+        credentials: Boolean(merged.credentials),
+        maxAge: merged.maxAge,
+    };
+}
+
+function setOriginHeaders(res, rule, origin) {
+    res.set('Access-Control-Allow-Origin', rule.anyOrigin ? '*' : origin);
+    if (rule.credentials) {
+        res.set('Access-Control-Allow-Credentials', 'true');
+    }
+}
+
+/**
+ * @param {object} policy
+ * @param {object} [policy.defaults] settings every rule starts from (origins, methods, allowedHeaders,
+ *   exposedHeaders, credentials, maxAge in seconds for caching preflights)
+ * @param {object[]} [policy.routes] rules with a `path` (exact, "/prefix/*" or RegExp), first match wins;
+ *   requests no rule matches use the defaults
+ */
+function corsPolicy({ defaults = {}, routes = [] } = {}) {
+    const rules = routes.map((rule, index) => compileRule(rule, defaults, index));
+    const fallback = compileRule({}, defaults, 'defaults');
+
+    return function corsMiddleware(req, res, next) {
+        const origin = req.headers.origin;
+        const rule = rules.find(candidate => candidate.matchesPath(req.path)) || fallback;
+        const isPreflight = req.method === 'OPTIONS' && req.headers['access-control-request-method'];
+
+        // the answer depends on the Origin header unless every origin gets the same "*",
+        // caches (browser, CDN) must not hand one origin's response to another
+        if (!rule.anyOrigin) {
+            res.vary('Origin');
+        }
+        if (!origin) {
+            return next(); // same-origin or not a browser, CORS does not apply
+        }
+
+        const originAllowed = rule.originMatchers.some(matches => matches(origin));
+        if (!isPreflight) {
+            if (originAllowed) {
+                setOriginHeaders(res, rule, origin);
+                if (rule.exposedHeaders) {
+                    res.set('Access-Control-Expose-Headers', rule.exposedHeaders);
+                }
+            }
+            // a disallowed origin just gets no CORS headers, the browser then hides the response
+            return next();
+        }
+
+        res.vary('Access-Control-Request-Method');
+        res.vary('Access-Control-Request-Headers');
+        const method = req.headers['access-control-request-method'].toUpperCase();
+        const requestedHeaders = (req.headers['access-control-request-headers'] || '')
+            .split(',')
+            .map(header => header.trim().toLowerCase())
+            .filter(Boolean);
+
+        if (!originAllowed) {
+            return next(new ForbiddenError(`CORS: origin ${origin} is not allowed`));
+        }
+        if (!rule.methods.includes(method)) {
+            return next(new ForbiddenError(`CORS: method ${method} is not allowed, use one of ${rule.methods.join(', ')}`));
+        }
+        const rejectedHeaders = requestedHeaders.filter(header => !rule.allowedHeaders.includes(header));
+        if (rejectedHeaders.length > 0) {
+            return next(new ForbiddenError(`CORS: header(s) ${rejectedHeaders.join(', ')} not allowed`));
+        }
+
+        setOriginHeaders(res, rule, origin);
+        res.set('Access-Control-Allow-Methods', rule.methods.join(', '));
+        if (rule.allowedHeadersValue) {
+            res.set('Access-Control-Allow-Headers', rule.allowedHeadersValue);
+        }
+        res.set('Access-Control-Max-Age', String(rule.maxAge));
+        res.sendStatus(204);
+    };
+}
+
+module.exports = { corsPolicy, originMatcher };
@@ -0,0 +1,187 @@
+// Typed HTTP errors and one error middleware that turns every error into an
+// RFC 7807 "application/problem+json" response:
+//
+//   { "type": "about:blank", "title": "Not Found", "status": 404,
+//     "detail": "Todo not found", "instance": "/todos/42" }
+//
+// Route handlers just throw (or next()) an error, the last middleware decides what the client sees:
+//
+//   app.get('/todos/:id', asyncHandler(async (req, res) => {
+//       const todo = await TodoModel.findById(req.params.id);
+//       if (!todo) throw new NotFoundError('Todo not found');
+//       res.json({ todo });
+//   }));
+//   app.use(notFoundHandler);
+//   app.use(problemDetailsHandler());
+
+const http = require('http');
+
+class HttpError extends Error {
+    /**
+     * @param {number} status HTTP status code
+     * @param {string} [detail] message for the client, safe to show in production
+     * @param {object} [options]
+     * @param {string} [options.type='about:blank'] URI that identifies the kind of problem
+     * @param {object} [options.extensions] extra members for the problem document (e.g. validation errors)
+     * @param {object} [options.headers] extra response headers (e.g. Retry-After)
+     * @param {Error} [options.cause] the original error, logged but never sent
+     */
+    constructor(status, detail, { type = 'about:blank', extensions = {}, headers = {}, cause } = {}) {
+        super(detail || http.STATUS_CODES[status], { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.title = http.STATUS_CODES[status] || 'Error';
+        this.type = type;
+        this.extensions = extensions;
+        this.headers = headers;
+        this.expose = status < 500;
+    }
+}
+
+class BadRequestError extends HttpError {
+    constructor(detail = 'Bad request', options) {
+        super(400, detail, options);
+    }
+}
+
+// `errors` is a list of { path, message } that ends up in the response next to `detail`
+class ValidationError extends HttpError {
+    constructor(detail = 'Validation failed', errors = [], options = {}) {
+        super(400, detail, { ...options, extensions: { ...options.extensions, errors } });
+        this.errors = errors;
+    }
+}
+
+class UnauthorizedError extends HttpError {
+    constructor(detail = 'Authentication required', options) {
+        super(401, detail, options);
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(detail = 'You are not allowed to do this', options) {
+        super(403, detail, options);
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(detail = 'Not found', options) {
+        super(404, detail, options);
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(detail = 'Conflict', options) {
+        super(409, detail, options);
+    }
+}
+
+class TooManyRequestsError extends HttpError {
+    constructor(detail = 'Too many requests', { retryAfterSeconds, ...options } = {}) {
+        const headers = retryAfterSeconds ? { 'Retry-After': String(retryAfterSeconds), ...options.headers } : options.headers;
+        super(429, detail, { ...options, headers });
+    }
+}
+
+// Express 4 does not catch rejected promises from async handlers, this forwards them to next()
+// (Express 5 does it on its own, wrapping is harmless there)
+function asyncHandler(handler) {
+    return function asyncHandlerWrapper(req, res, next) {
+        return Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+// mount after all routes: anything that reaches it did not match a route
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+}
+
+/**
+ * Turns errors thrown by libraries into HttpErrors so they get the right status instead of a 500.
+ * Matched by name/code so this module does not need mongoose, zod or express as a dependency.
+ */
+function toHttpError(err) {
+    if (err instanceof HttpError) {
+        return err;
+    }
+    // body-parser: invalid JSON, payload too large, ...
+    if (err.type && typeof err.status === 'number' && err.status < 500) {
+        return new HttpError(err.status, err.message, { cause: err });
+    }
+    if (err.name === 'ZodError') {
+        const errors = err.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }));
+        return new ValidationError('Validation failed', errors, { cause: err });
+    }
+    // mongoose: an id that is not an ObjectId, or a document that fails the schema
+    if (err.name === 'CastError') {
+        return new BadRequestError(`Invalid ${err.path}: ${JSON.stringify(err.value)}`, { cause: err });
+    }
+    if (err.name === 'ValidationError' && err.errors) {
+        const errors = Object.values(err.errors).map(error => ({ path: error.path, message: error.message }));
+        return new ValidationError('Validation failed', errors, { cause: err });
+    }
+    // mongodb duplicate key
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || {}).join(', ');
+        return new ConflictError(fields ? `${fields} already exists` : 'Duplicate value', { cause: err });
+    }
+    return new HttpError(500, undefined, { cause: err });
+}
+
+/**
+ * The error middleware (4 parameters) that answers with application/problem+json.
+ * Outside production a 5xx also carries the original message and stack trace, in production
+ * the client only gets the status title for it.
+ * @param {object} [options]
+ * @param {boolean} [options.production=process.env.NODE_ENV === 'production']
+ * @param {(err, req) => void} [options.log] called for every 5xx, defaults to req.log (request-logger.js)
+ *   or console.error
+ */
+function problemDetailsHandler({
+    production = process.env.NODE_ENV === 'production',
+    log = (err, req) => (req.log
+        ? req.log.error('request failed', { error: err.message, stack: err.stack })
+        : console.error(`${req.method} ${req.originalUrl} failed:`, err)),
+} = {}) {
+    return function problemDetailsMiddleware(err, req, res, next) {
+        if (res.headersSent) {
+            return next(err);
+        }
+        const error = toHttpError(err);
+        const original = error.cause || error;
+        if (error.status >= 500) {
+            log(original, req);
+        }
+
+        const problem = {
+            type: error.type,
+            title: error.title,
+            status: error.status,
+            detail: error.expose || !production ? (error.status >= 500 ? original.message : error.message) : error.title,
+            instance: req.originalUrl,
+            ...error.extensions,
+        };
+        if (!production && error.status >= 500) {
+            problem.stack = original.stack;
+        }
+
+        res.status(error.status)
+            .set(error.headers)
+            .type('application/problem+json')
+            .send(JSON.stringify(problem));
+    };
+}
+
+module.exports = {
+    HttpError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    asyncHandler,
+    notFoundHandler,
+    problemDetailsHandler,
+};
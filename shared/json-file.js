@@ -0,0 +1,73 @@
+const fs = require('fs');
+const Path = require('path');
+const crypto = require('crypto');
+
+// reads and parses a JSON file, returns `fallback` when the file does not exist yet
+async function readJsonFile(filepath, fallback = null) {
+    let content;
+    try {
+        content = await fs.promises.readFile(filepath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        // never silently replace a file we cannot read, that would throw away the data in it
+        throw new Error(`${filepath} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Writes JSON so that a crash can never leave a half-written file behind:
+ * 1. write everything to a temp file next to the target (same file system)
+ * 2. fsync it so the bytes are really on disk
+ * 3. rename it over the target, rename is atomic, readers see the old or the new file
+ * 4. fsync the directory so the rename itself survives a power cut
+ * `mode` is the permission of the new file, e.g. 0o600 for secrets only the owner may read.
+ */
+async function writeJsonFileAtomic(filepath, data, { mode = 0o666 } = {}) {
+    const dir = Path.dirname(filepath);
+    const tempPath = Path.join(dir, `.${Path.basename(filepath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const file = await fs.promises.open(tempPath, 'w', mode);
+    try {
+        await file.writeFile(JSON.stringify(data, null, 2));
+        await file.sync();
+    } finally {
+        await file.close();
+    }
+    try {
+        await fs.promises.rename(tempPath, filepath);
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+
+    try {
+        const directory = await fs.promises.open(dir, 'r');
+        try {
+            await directory.sync();
+        } finally {
+            await directory.close();
+        }
+    } catch {
+        // some platforms (windows) cannot fsync a directory, the rename is still atomic there
+    }
+}
+
+// removes temp files left behind by a process that crashed in the middle of writeJsonFileAtomic
+async function removeStaleTempFiles(filepath) {
+    const dir = Path.dirname(filepath);
+    const prefix = `.${Path.basename(filepath)}.`;
+    const entries = await fs.promises.readdir(dir).catch(() => []);
+    await Promise.all(entries
+        .filter(name => name.startsWith(prefix) && name.endsWith('.tmp'))
+        .map(name => fs.promises.rm(Path.join(dir, name), { force: true })));
+}
+
+module.exports = { readJsonFile, writeJsonFileAtomic, removeStaleTempFiles };
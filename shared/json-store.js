@@ -0,0 +1,59 @@
+const { readJsonFile, writeJsonFileAtomic, removeStaleTempFiles } = require('./json-file');
+
+/**
+ * A JSON document on disk with serialized, crash-safe updates.
+ *   read()          -> the current document (loaded once, then kept in memory)
+ *   mutate(change)  -> runs change(copy) one at a time, writes the copy atomically and only then
+ *                      makes it the current document; resolves with a copy of what change returned
+ * Nothing handed out is the stored object itself, mutating a result never changes the store.
+ * @param {string} file
+ * @param {() => object} initial document to start with when the file does not exist yet
+ * @param {(doc: object) => object} [migrate] upgrades a loaded document (e.g. fills in missing ids),
+ *   the result is written back when it differs from what was loaded
+ * @param {object} [options]
+ * @param {number} [options.mode] file permissions, see writeJsonFileAtomic
+ */
+function createJsonStore(file, initial, migrate = doc => doc, { mode } = {}) {
+    let doc = null;
+    let loading = null;
+    let queue = Promise.resolve();
+
+    // loads once, however many calls come in before the first load finished: separate loads would
+    // each clean up temp files (one deleting another's in-flight write) and a slow one could put a
+    // stale document back after a mutate committed
+    async function load() {
+        loading ??= (async () => {
+            await removeStaleTempFiles(file);
+            const stored = await readJsonFile(file, null);
+            const migrated = migrate(structuredClone(stored ?? initial()));
+            if (JSON.stringify(migrated) !== JSON.stringify(stored)) {
+                await writeJsonFileAtomic(file, migrated, { mode });
+            }
+            doc = migrated;
+        })().catch(error => {
+            loading = null; // the next call tries again
+            throw error;
+        });
+        await loading;
+        return doc;
+    }
+
+    function mutate(change) {
+        const run = queue.then(async () => {
+            const next = structuredClone(await load());
+            const result = await change(next);
+            await writeJsonFileAtomic(file, next, { mode });
+            doc = next;
+            return result === undefined ? null : structuredClone(result);
+        });
+        queue = run.catch(() => { });
+        return run;
+    }
+
+    return {
+        read: async () => structuredClone(await load()),
+        mutate,
+    };
+}
+
+module.exports = { createJsonStore };
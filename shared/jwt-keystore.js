@@ -0,0 +1,188 @@
+// Asymmetric JWT signing keys: the private key signs, anybody with the public key can verify but
+// not forge. Other services fetch the public keys from /.well-known/jwks.json.
+//
+//   const keyStore = createKeyStore({ file: 'data/jwt-keys.json', maxTokenTtlMs: 60 * 60 * 1000 });
+//   const tokens = createJwtSigner(require('jsonwebtoken'), keyStore, { audience: 'access' });
+//   const token = await tokens.sign({ userId }, { expiresIn: '1h' });   // header: { alg: 'ES256', kid: '...' }
+//   const claims = await tokens.verify(token);                          // throws like jwt.verify
+//   app.get('/.well-known/jwks.json', async (req, res) => res.json(await keyStore.jwks()));
+//
+// Rotation: the current key signs until it is rotateEveryMs old, then a new key takes over. The old
+// key stays in the store (and in the JWKS) for maxTokenTtlMs more, so every token it signed can
+// still be verified until that token expires anyway. Only then is it deleted.
+//
+// JWT_KEYS_FILE moves the key file, JWT_ALGORITHM=RS256 switches to RSA keys.
+
+const crypto = require('crypto');
+const Path = require('path');
+const { createJsonStore } = require('./json-store');
+
+const KEY_TYPES = {
+    ES256: { type: 'ec', options: { namedCurve: 'P-256' } },
+    RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+};
+// tolerated difference between the clocks of the signing and the verifying server
+const CLOCK_SKEW_MS = 60 * 1000;
+
+function generateKey(alg) {
+    const keyType = KEY_TYPES[alg];
+    if (!keyType) {
+        throw new Error(`Unsupported JWT algorithm "${alg}", use one of ${Object.keys(KEY_TYPES).join(', ')}`);
+    }
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(keyType.type, {
+        ...keyType.options,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+    return {
+        kid: crypto.randomBytes(12).toString('base64url'),
+        alg,
+        createdAt: Date.now(),
+        retiredAt: null, // no longer signs
+        expiresAt: null, // no longer verifies, set on retirement
+        publicKey,
+        privateKey,
+    };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.file JSON file holding the key pairs (JWT_KEYS_FILE wins), written with mode 0600 (keep it out of git)
+ * @param {number} options.maxTokenTtlMs lifetime of the longest-lived token signed with these keys
+ * @param {string} [options.algorithm=process.env.JWT_ALGORITHM || 'ES256'] ES256 or RS256
+ * @param {number} [options.rotateEveryMs=7 days] age at which the signing key is replaced
+ * @param {number} [options.checkEveryMs=1 hour] how often the background timer checks for a due rotation
+ */
+function createKeyStore({
+    file,
+    maxTokenTtlMs,
+    algorithm = process.env.JWT_ALGORITHM || 'ES256',
+    rotateEveryMs = 7 * 24 * 60 * 60 * 1000,
+    checkEveryMs = 60 * 60 * 1000,
+}) {
+    if (!KEY_TYPES[algorithm]) {
+        throw new Error(`Unsupported JWT algorithm "${algorithm}", use one of ${Object.keys(KEY_TYPES).join(', ')}`);
+    }
+    if (!(maxTokenTtlMs > 0)) {
+        throw new Error('maxTokenTtlMs is required, old keys have to outlive the tokens they signed');
+    }
+    const store = createJsonStore(Path.resolve(process.env.JWT_KEYS_FILE || file), () => ({ keys: [] }), undefined, { mode: 0o600 });
+
+    const current = keys => keys.find(key => !key.retiredAt) || null;
+    const isDue = (key, now) => !key || key.alg !== algorithm || now - key.createdAt >= rotateEveryMs;
+
+    // retires the signing key, starts a new one and forgets keys whose tokens have all expired
+    function rotateKeys(doc, now) {
+        for (const key of doc.keys) {
+            if (!key.retiredAt) {
+                key.retiredAt = now;
+                key.expiresAt = now + maxTokenTtlMs + CLOCK_SKEW_MS;
+            }
+        }
+        doc.keys = doc.keys.filter(key => !key.expiresAt || key.expiresAt > now);
+        const key = generateKey(algorithm);
+        doc.keys.push(key);
+        return key;
+    }
+
+    // the key to sign with, rotating first when it is due (also covers a store that was never started)
+    async function signingKey() {
+        const key = current((await store.read()).keys);
+        if (!isDue(key, Date.now())) {
+            return key;
+        }
+        return store.mutate(doc => {
+            const now = Date.now();
+            const latest = current(doc.keys); // another request may have rotated in the meantime
+            return isDue(latest, now) ? rotateKeys(doc, now) : latest;
+        });
+    }
+
+    // forces a rotation, e.g. when a private key may have leaked (tokens it signed keep working until they expire)
+    async function rotate() {
+        const key = await store.mutate(doc => rotateKeys(doc, Date.now()));
+        return key.kid;
+    }
+
+    // the public key for a kid from a token header, null when the key is unknown or expired
+    async function publicKey(kid) {
+        const now = Date.now();
+        const key = (await store.read()).keys.find(candidate => candidate.kid === kid);
+        if (!key || (key.expiresAt && key.expiresAt <= now)) {
+            return null;
+        }
+        return { kid: key.kid, alg: key.alg, publicKey: key.publicKey };
+    }
+
+    // RFC 7517 key set with every key that may still verify a token, never a private part
+    async function jwks() {
+        const now = Date.now();
+        const keys = (await store.read()).keys.filter(key => !key.expiresAt || key.expiresAt > now);
+        return {
+            keys: keys.map(key => ({
+                ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+                kid: key.kid,
+                alg: key.alg,
+                use: 'sig',
+            })),
+        };
+    }
+
+    const timer = setInterval(() => {
+        signingKey().catch(error => console.error('JWT key rotation failed:', error));
+    }, checkEveryMs);
+    timer.unref(); // never keeps the process alive
+
+    return {
+        algorithm,
+        signingKey,
+        rotate,
+        publicKey,
+        jwks,
+        close: () => clearInterval(timer),
+    };
+}
+
+/**
+ * sign/verify on top of jsonwebtoken, passed in so this module does not depend on it.
+ * verify() only accepts the asymmetric algorithms and only keys from the store, a token signed
+ * with a shared secret ("alg": "HS256") or an unknown kid is rejected.
+ * `audience` (the aud claim) is what a token is for: when a server signs more than one kind of
+ * token with the same keys, each kind gets its own audience and every verify asks for one, so a
+ * token of one kind never passes for another. Both default to options.audience.
+ * @param {object} [options]
+ * @param {string} [options.audience] aud of the tokens signed and required when verifying
+ */
+function createJwtSigner(jwt, keyStore, { audience } = {}) {
+    // jsonwebtoken rejects audience: undefined, a signer without one leaves the option out
+    const defaults = audience === undefined ? {} : { audience };
+
+    async function sign(payload, options = {}) {
+        const key = await keyStore.signingKey();
+        return jwt.sign(payload, key.privateKey, { ...defaults, ...options, algorithm: key.alg, keyid: key.kid });
+    }
+
+    function getKey(header, callback) {
+        keyStore.publicKey(header.kid).then(key => {
+            if (!key || key.alg !== header.alg) {
+                return callback(new Error(`Unknown signing key "${header.kid}"`));
+            }
+            callback(null, key.publicKey);
+        }, callback);
+    }
+
+    function verify(token, options = {}) {
+        return new Promise((resolve, reject) => {
+            jwt.verify(token, getKey, { ...defaults, ...options, algorithms: Object.keys(KEY_TYPES) }, (error, decoded) => {
+                if (error) {
+                    return reject(error);
+                }
+                resolve(decoded);
+            });
+        });
+    }
+
+    return { sign, verify };
+}
+
+module.exports = { createKeyStore, createJwtSigner };
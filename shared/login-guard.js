@@ -0,0 +1,178 @@
+// Brute-force protection for login routes: progressive lockout per account and per IP.
+//
+//   const guard = createLoginGuard({ auditFile: Path.join(__dirname, 'data', 'login-audit.log') });
+//
+//   const lock = guard.blocked({ account: username, ip: req.ip, userAgent });
+//   if (lock) -> return sendLockout(res, lock), a 429 with lock.message and a Retry-After header
+//   ...verify the password...
+//   failed:    const { lockout } = guard.recordFailure({ account, ip, userAgent, reason });
+//              -> 401 with { message, ...lockoutFields(lockout) }
+//   succeeded: guard.recordSuccess({ account, ip });
+//
+// Every failed and blocked attempt is written to the audit file as a JSON line, LOGIN_AUDIT_LOG
+// overrides where that file is.
+//
+// The first `freeAttempts` failures cost nothing (typos happen), every failure after that locks the
+// key for twice as long as the previous one: 1s, 2s, 4s, ... up to maxLockMs. Per account stops
+// guessing one user's password from many IPs, per IP (with a higher allowance, offices share an IP)
+// stops one client trying a common password against many accounts. Unknown accounts are counted
+// like real ones, so a lockout says nothing about whether an account exists.
+//
+// Counters live in this process: restart = reset, several workers = several counters each.
+
+const fs = require('fs');
+const Path = require('path');
+const { createLogger } = require('./request-logger');
+
+// account names are compared like usernames/emails: "Alice@x.com " is "alice@x.com"
+function accountKey(account) {
+    return String(account ?? '').trim().toLowerCase();
+}
+
+// appends JSON lines to a file, one write at a time so lines never interleave
+function fileWriter(file) {
+    let queue = fs.promises.mkdir(Path.dirname(file), { recursive: true });
+    return line => {
+        queue = queue
+            .then(() => fs.promises.appendFile(file, line + '\n'))
+            .catch(error => console.error(`Could not write to ${file}:`, error.message));
+    };
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.freeAttempts=5] failures per account before the lockout starts
+ * @param {number} [options.ipFreeAttempts=20] failures per IP before the lockout starts
+ * @param {number} [options.baseLockMs=1000] length of the first lockout
+ * @param {number} [options.maxLockMs=15 minutes] lockouts never get longer than this
+ * @param {number} [options.forgetAfterMs=24 hours] a key without failures for this long starts over
+ * @param {string} [options.auditFile] JSON lines file for the audit log (LOGIN_AUDIT_LOG wins), stdout when neither is set
+ * @param {(line: string) => void} [options.write] custom audit log writer, overrides auditFile
+ */
+function createLoginGuard({
+    freeAttempts = 5,
+    ipFreeAttempts = 20,
+    baseLockMs = 1000,
+    maxLockMs = 15 * 60 * 1000,
+    forgetAfterMs = 24 * 60 * 60 * 1000,
+    auditFile,
+    write,
+    now = Date.now,
+} = {}) {
+    const auditPath = process.env.LOGIN_AUDIT_LOG || auditFile;
+    const audit = createLogger({ level: 'info', write: write ?? (auditPath ? fileWriter(auditPath) : undefined), fields: { log: 'login-audit' } });
+    const entries = new Map(); // "account:<name>" / "ip:<address>" -> { failures, lockedUntil, lastFailureAt }
+
+    const sweep = setInterval(() => {
+        const time = now();
+        for (const [key, entry] of entries) {
+            if (entry.lockedUntil <= time && time - entry.lastFailureAt > forgetAfterMs) {
+                entries.delete(key);
+            }
+        }
+    }, 60 * 1000);
+    sweep.unref();
+
+    function keysOf({ account, ip }) {
+        return [
+            { key: `account:${accountKey(account)}`, scope: 'account', free: freeAttempts },
+            { key: `ip:${ip}`, scope: 'ip', free: ipFreeAttempts },
+        ];
+    }
+
+    function current(key) {
+        const entry = entries.get(key);
+        if (entry && now() - entry.lastFailureAt > forgetAfterMs && entry.lockedUntil <= now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    /**
+     * Call before checking the password. Returns null when the attempt may go ahead, otherwise
+     * { scope: 'account' | 'ip', retryAfterSeconds, message }.
+     */
+    function check(attempt) {
+        const time = now();
+        for (const { key, scope } of keysOf(attempt)) {
+            const entry = current(key);
+            if (entry && entry.lockedUntil > time) {
+                const retryAfterSeconds = Math.ceil((entry.lockedUntil - time) / 1000);
+                return {
+                    scope,
+                    retryAfterSeconds,
+                    message: `Too many failed sign-in attempts${scope === 'ip' ? ' from your network' : ' for this account'}, `
+                        + `try again in ${retryAfterSeconds} second(s)`,
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Counts a failed attempt and writes it to the audit log.
+     * Returns { lockout } where lockout is null or the notice for the response (see check()).
+     */
+    function recordFailure({ account, ip, userAgent, reason = 'invalid credentials' }) {
+        const time = now();
+        const counts = {};
+        for (const { key, scope, free } of keysOf({ account, ip })) {
+            const entry = current(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+            entry.failures += 1;
+            entry.lastFailureAt = time;
+            if (entry.failures > free) {
+                const lockMs = Math.min(maxLockMs, baseLockMs * 2 ** (entry.failures - free - 1));
+                entry.lockedUntil = time + lockMs;
+            }
+            entries.set(key, entry);
+            counts[scope] = entry.failures;
+        }
+        const lockout = check({ account, ip });
+        audit.warn('login failed', {
+            account: accountKey(account),
+            ip,
+            userAgent,
+            reason,
+            accountFailures: counts.account,
+            ipFailures: counts.ip,
+            lockedForSeconds: lockout?.retryAfterSeconds ?? 0,
+        });
+        return { lockout };
+    }
+
+    // a correct password clears the account's failures, the IP keeps its count (one success
+    // among thousands of guesses from the same address should not reset them)
+    function recordSuccess({ account }) {
+        entries.delete(`account:${accountKey(account)}`);
+    }
+
+    // also audited: attempts turned away while locked, they show an ongoing attack
+    function recordBlocked({ account, ip, userAgent }, lock) {
+        audit.warn('login blocked', { account: accountKey(account), ip, userAgent, scope: lock.scope, retryAfterSeconds: lock.retryAfterSeconds });
+    }
+
+    // check() and recordBlocked() in one: the lock (already audited) or null
+    function blocked(attempt) {
+        const lock = check(attempt);
+        if (lock) {
+            recordBlocked(attempt, lock);
+        }
+        return lock;
+    }
+
+    return { check, blocked, recordFailure, recordSuccess, recordBlocked, close: () => clearInterval(sweep) };
+}
+
+// the 429 for a locked attempt, for apps that answer with plain { message } JSON
+function sendLockout(res, lock) {
+    res.set('Retry-After', String(lock.retryAfterSeconds));
+    return res.status(429).json({ message: lock.message, retryAfterSeconds: lock.retryAfterSeconds });
+}
+
+// what a 401 adds when this failure started a lockout, nothing otherwise
+function lockoutFields(lockout) {
+    return lockout ? { lockout: lockout.message, retryAfterSeconds: lockout.retryAfterSeconds } : {};
+}
+
+module.exports = { createLoginGuard, sendLockout, lockoutFields };
@@ -0,0 +1,203 @@
+// Where the rate limiter keeps its counters.
+//
+// A store has one method: consume(key, strategy, { limit, windowMs }, now) -> Promise<result>
+// It reads the state for the key, runs the strategy (see rate-limit-strategies.js) and saves the
+// new state in one step, so two requests for the same key can never both see the old state.
+//
+// - createMemoryStore()  counters live in this process, every process has its own limits
+// - createSocketStore()  counters live in a rate limit server (createRateLimitServer) that every
+//                        local process connects to over a unix socket / named pipe, so N workers
+//                        share one limit
+//
+//   cluster primary:  createRateLimitServer({ path: '/tmp/rate-limit.sock' })
+//   every worker:     rateLimit({ name: 'api', limit: 10, store: createSocketStore({ path: '/tmp/rate-limit.sock' }) })
+//   or standalone:    RATE_LIMIT_SOCKET=/tmp/rate-limit.sock node shared/rate-limit-store.js
+
+const net = require('net');
+const os = require('os');
+const fs = require('fs');
+const Path = require('path');
+const { strategies } = require('./rate-limit-strategies');
+
+const DEFAULT_SOCKET_PATH = process.platform === 'win32'
+    ? '\\\\.\\pipe\\rate-limit'
+    : Path.join(os.tmpdir(), 'rate-limit.sock');
+
+function getStrategy(name) {
+    const consume = strategies[name];
+    if (!consume) {
+        throw new Error(`Unknown rate limit strategy "${name}", use one of ${Object.keys(strategies).join(', ')}`);
+    }
+    return consume;
+}
+
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const entries = new Map(); // key -> { state, expiresAt }
+
+    // drop the keys nobody used for a while, unref() so this timer never keeps the process alive
+    const sweep = setInterval(() => {
+        const time = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= time) {
+                entries.delete(key);
+            }
+        }
+    }, sweepIntervalMs);
+    sweep.unref();
+
+    // synchronous on purpose, the socket server relies on it to apply requests one at a time
+    function consumeNow(key, strategy, options, now) {
+        const result = getStrategy(strategy)(entries.get(key)?.state, now, options);
+        entries.set(key, { state: result.state, expiresAt: result.expiresAt });
+        return result;
+    }
+
+    return {
+        consumeNow,
+        consume: async (key, strategy, options, now = Date.now()) => consumeNow(key, strategy, options, now),
+        close: () => clearInterval(sweep),
+    };
+}
+
+// messages are one JSON object per line in both directions
+function onLines(socket, handle) {
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.on('data', data => {
+        buffered += data;
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            const line = buffered.slice(0, newline);
+            buffered = buffered.slice(newline + 1);
+            if (line.trim()) {
+                handle(line);
+            }
+        }
+    });
+}
+
+/**
+ * Runs the shared counters: a memory store behind a unix socket (named pipe on windows).
+ * A leftover socket file from a crashed server is removed, a socket another server is still
+ * listening on is not. Resolves with the net.Server once it is listening.
+ */
+function createRateLimitServer({ path = DEFAULT_SOCKET_PATH } = {}) {
+    const store = createMemoryStore();
+    const server = net.createServer(socket => {
+        onLines(socket, line => {
+            let request;
+            try {
+                request = JSON.parse(line);
+                const result = store.consumeNow(request.key, request.strategy, request.options, request.now);
+                socket.write(JSON.stringify({ id: request.id, result }) + '\n');
+            } catch (error) {
+                socket.write(JSON.stringify({ id: request?.id, error: error.message }) + '\n');
+            }
+        });
+        socket.on('error', () => socket.destroy());
+    });
+    server.on('close', () => store.close());
+
+    return new Promise((resolve, reject) => {
+        server.once('error', error => {
+            if (error.code !== 'EADDRINUSE' || process.platform === 'win32') {
+                return reject(error);
+            }
+            // someone answering on the socket means a server is already running
+            const probe = net.connect(path);
+            probe.once('connect', () => {
+                probe.destroy();
+                reject(new Error(`A rate limit server is already listening on ${path}`));
+            });
+            probe.once('error', () => {
+                fs.rmSync(path, { force: true });
+                server.listen(path, () => resolve(server));
+            });
+        });
+        server.listen(path, () => resolve(server));
+    });
+}
+
+/**
+ * Client side of createRateLimitServer. Keeps one connection open (re-opened on the next
+ * request if it drops) and matches answers to requests by id. A request that gets no answer
+ * within timeoutMs is rejected, the limiter then decides whether to fail open or closed.
+ */
+function createSocketStore({ path = DEFAULT_SOCKET_PATH, timeoutMs = 1000 } = {}) {
+    const pending = new Map(); // id -> { resolve, reject, timer }
+    let socket = null;
+    let nextId = 1;
+
+    function failPending(error) {
+        for (const { reject, timer } of pending.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        pending.clear();
+    }
+
+    function connect() {
+        if (socket) {
+            return socket;
+        }
+        socket = net.connect(path);
+        socket.unref(); // an idle connection should not keep the process running
+        onLines(socket, line => {
+            const message = JSON.parse(line);
+            const request = pending.get(message.id);
+            if (!request) {
+                return;
+            }
+            pending.delete(message.id);
+            clearTimeout(request.timer);
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message.result);
+            }
+        });
+        socket.on('error', error => {
+            failPending(error);
+        });
+        socket.on('close', () => {
+            socket = null;
+            failPending(new Error(`Connection to the rate limit server at ${path} closed`));
+        });
+        return socket;
+    }
+
+    return {
+        shared: true, // limiters on it need an explicit name, see rateLimit()
+        consume(key, strategy, options, now = Date.now()) {
+            return new Promise((resolve, reject) => {
+                const id = nextId++;
+                const timer = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error(`The rate limit server at ${path} did not answer within ${timeoutMs}ms`));
+                }, timeoutMs);
+                pending.set(id, { resolve, reject, timer });
+                connect().write(JSON.stringify({ id, key, strategy, options, now }) + '\n');
+            });
+        },
+        close() {
+            socket?.destroy();
+        },
+    };
+}
+
+// RATE_LIMIT_SOCKET=/path/to.sock shares the limits with every process using the same socket
+function storeFromEnv(env = process.env) {
+    return env.RATE_LIMIT_SOCKET ? createSocketStore({ path: env.RATE_LIMIT_SOCKET }) : createMemoryStore();
+}
+
+if (require.main === module) {
+    const path = process.env.RATE_LIMIT_SOCKET || DEFAULT_SOCKET_PATH;
+    createRateLimitServer({ path })
+        .then(() => console.log(`Rate limit server listening on ${path}`))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { createMemoryStore, createSocketStore, createRateLimitServer, storeFromEnv, DEFAULT_SOCKET_PATH };
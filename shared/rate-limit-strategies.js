@@ -0,0 +1,67 @@
+/**
+ * Strategies are pure functions: (state, now, { limit, windowMs }) -> result
+ *   state        what has to be remembered for one key (undefined the first time)
+ *   allowed      whether this request gets through
+ *   remaining    requests left right now
+ *   resetMs      ms until the limit is fully available again
+ *   retryAfterMs ms until the next request would be allowed (0 when allowed)
+ *   expiresAt    after this time the state is no longer needed and can be dropped
+ */
+const strategies = {
+    // counts requests in windows of windowMs that start at the first request, simple but allows
+    // bursts of 2x the limit around the edge of two windows
+    'fixed-window'(state, now, { limit, windowMs }) {
+        const current = state && now < state.resetAt ? state : { count: 0, resetAt: now + windowMs };
+        const allowed = current.count < limit;
+        const next = { count: current.count + (allowed ? 1 : 0), resetAt: current.resetAt };
+        const resetMs = next.resetAt - now;
+        return {
+            state: next,
+            allowed,
+            remaining: limit - next.count,
+            resetMs,
+            retryAfterMs: allowed ? 0 : resetMs,
+            expiresAt: next.resetAt,
+        };
+    },
+
+    // remembers the timestamp of every allowed request in the last windowMs, exact but uses
+    // memory proportional to the limit
+    'sliding-window'(state, now, { limit, windowMs }) {
+        const log = (state || []).filter(timestamp => timestamp > now - windowMs);
+        const allowed = log.length < limit;
+        if (allowed) {
+            log.push(now);
+        }
+        const oldest = log[0] ?? now;
+        return {
+            state: log,
+            allowed,
+            remaining: limit - log.length,
+            resetMs: log.length > 0 ? log[log.length - 1] + windowMs - now : 0,
+            retryAfterMs: allowed ? 0 : oldest + windowMs - now,
+            expiresAt: (log[log.length - 1] ?? now) + windowMs,
+        };
+    },
+
+    // a bucket of `limit` tokens refilled at limit/windowMs per ms, every request takes one token,
+    // allows short bursts while keeping the average rate
+    'token-bucket'(state, now, { limit, windowMs }) {
+        const refillPerMs = limit / windowMs;
+        const previous = state || { tokens: limit, updatedAt: now };
+        const tokens = Math.min(limit, previous.tokens + (now - previous.updatedAt) * refillPerMs);
+        const allowed = tokens >= 1;
+        const left = allowed ? tokens - 1 : tokens;
+        const resetMs = Math.ceil((limit - left) / refillPerMs);
+        return {
+            state: { tokens: left, updatedAt: now },
+            allowed,
+            remaining: Math.floor(left),
+            resetMs,
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - left) / refillPerMs),
+            expiresAt: now + resetMs,
+        };
+    },
+};
+
+module.exports = { strategies };
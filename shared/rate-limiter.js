@@ -0,0 +1,103 @@
+// Rate limiting middleware shared by the Express servers.
+//
+//   app.use(rateLimit({ limit: 100, windowMs: 60_000 }));                        // per IP, fixed window
+//   app.get('/ride1', rateLimit({ strategy: 'token-bucket', limit: 5, windowMs: 1000,
+//       key: keyBy.header('user-id') }), handler);                               // per route, per user
+//
+// Each call of rateLimit() has its own counters, so giving routes their own limiter gives them their own limits.
+// The counters live in a store (rate-limit-store.js): in memory by default, or shared by several
+// processes through createSocketStore().
+
+const { strategies } = require('./rate-limit-strategies');
+const { createMemoryStore } = require('./rate-limit-store');
+const { TooManyRequestsError } = require('./http-errors');
+
+let limiterCount = 0;
+
+/**
+ * Key extractors decide who a request is counted against. Requests without the
+ * header / token fall back to the client IP instead of sharing one "undefined" bucket.
+ */
+const keyBy = {
+    ip: () => req => `ip:${req.ip}`,
+    header: name => req => {
+        const value = req.headers[name.toLowerCase()];
+        return value ? `${name.toLowerCase()}:${value}` : `ip:${req.ip}`;
+    },
+    // only claims an auth middleware already verified (req.tokenData), so mount the limiter after
+    // it: a subject read from an unchecked token would be a fresh bucket for every made-up value
+    jwtSubject: (claim = 'sub') => req => {
+        const subject = req.tokenData?.[claim];
+        return subject ? `sub:${subject}` : `ip:${req.ip}`;
+    },
+};
+
+function setRateLimitHeaders(res, result, { limit, windowMs }) {
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, result.remaining)));
+    res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+    res.set('RateLimit-Policy', `${limit};w=${Math.ceil(windowMs / 1000)}`);
+    if (!result.allowed) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+    }
+}
+
+/**
+ * Creates a rate limiting middleware.
+ * @param {object} options
+ * @param {'fixed-window'|'sliding-window'|'token-bucket'} [options.strategy='fixed-window']
+ * @param {number} [options.limit=60] requests allowed per window (bucket size for token-bucket)
+ * @param {number} [options.windowMs=60000]
+ * @param {(req) => string} [options.key=keyBy.ip()] who a request is counted against
+ * @param {string} [options.message='Too many requests']
+ * @param {object} [options.store=createMemoryStore()] where the counters are kept
+ * @param {string} [options.name] prefix for this limiter's keys in the store; required with a
+ *   shared store (createSocketStore), where it decides which limiters share a bucket across
+ *   processes. Only a memory store may leave it out and get one from the creation order
+ * @param {boolean} [options.failOpen=true] let requests through when the store cannot be reached
+ * @param {() => number} [options.now=Date.now] clock, handy for trying out the strategies
+ */
+function rateLimit({
+    strategy = 'fixed-window',
+    limit = 60,
+    windowMs = 60 * 1000,
+    key = keyBy.ip(),
+    message = 'Too many requests',
+    store = createMemoryStore(),
+    name,
+    failOpen = true,
+    now = Date.now,
+} = {}) {
+    if (!strategies[strategy]) {
+        throw new Error(`Unknown rate limit strategy "${strategy}", use one of ${Object.keys(strategies).join(', ')}`);
+    }
+    // generated names depend on the order limiters are created in: two apps (or two versions of
+    // one app) on the same socket would share or split buckets by accident
+    if (!name && store.shared) {
+        throw new Error('A rate limiter on a shared store needs a name, e.g. rateLimit({ name: \'api\', store })');
+    }
+    name ??= `limiter-${++limiterCount}`;
+
+    return async function rateLimitMiddleware(req, res, next) {
+        let result;
+        try {
+            result = await store.consume(`${name}:${key(req)}`, strategy, { limit, windowMs }, now());
+        } catch (error) {
+            // a broken store should not take the whole API down with it, unless asked to
+            if (failOpen) {
+                console.error(`Rate limiter "${name}" skipped: ${error.message}`);
+                return next();
+            }
+            return next(error);
+        }
+
+        setRateLimitHeaders(res, result, { limit, windowMs });
+        if (!result.allowed) {
+            // answered by the app's error middleware (problemDetailsHandler), Retry-After is already set
+            return next(new TooManyRequestsError(message));
+        }
+        next();
+    };
+}
+
+module.exports = { rateLimit, keyBy, strategies };
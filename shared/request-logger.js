@@ -0,0 +1,144 @@
+// Structured request logging: one JSON line per request, easy to grep, jq or ship to a log store.
+//
+//   app.use(requestLogger());            // first middleware, so every response is logged
+//   req.log.info('todo created', { todoId });
+//
+//   {"time":"2025-01-01T10:00:00.000Z","level":"info","msg":"request completed","requestId":"5f0c...",
+//    "method":"POST","path":"/todos","status":201,"durationMs":12.4,"userId":"65a...","responseSize":112}
+//
+// LOG_LEVEL=debug also logs headers, query and body (with secrets redacted) on every request.
+
+const crypto = require('crypto');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+// header, query and body keys whose values never end up in a log (compared case-insensitively)
+const DEFAULT_REDACT = [
+    'authorization', 'cookie', 'set-cookie', 'x-auth-token', 'password', 'newpassword', 'token', 'refreshtoken',
+    // the 2FA fields of 6.1's /signin/2fa, /2fa/enable and /2fa/disable
+    'mfatoken', 'code', 'recoverycode',
+];
+const DEFAULT_REDACT_KEYS = new Set(DEFAULT_REDACT);
+// an incoming X-Request-Id is only trusted if it looks like an id, not like a log injection
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// a copy of value with the secrets replaced, for logging a body or an object by hand:
+// req.log.debug('data received', { body: redact(req.body) })
+function redact(value, keys = DEFAULT_REDACT_KEYS) {
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, keys));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            keys.has(key.toLowerCase()) ? REDACTED : redact(item, keys),
+        ]));
+    }
+    return value;
+}
+
+/**
+ * A minimal JSON line logger: logger.info(msg, fields) writes {"time","level","msg",...fields}.
+ * Messages below `level` are dropped, child(fields) returns a logger that adds fields to every line.
+ */
+function createLogger({ level = process.env.LOG_LEVEL || 'info', write = line => process.stdout.write(line + '\n'), fields = {} } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+    const logger = { level };
+    for (const name of Object.keys(LEVELS)) {
+        logger[name] = (msg, extra = {}) => {
+            if (LEVELS[name] <= threshold) {
+                write(JSON.stringify({ time: new Date().toISOString(), level: name, msg, ...fields, ...extra }));
+            }
+        };
+    }
+    logger.isLevelEnabled = name => LEVELS[name] <= threshold;
+    logger.child = childFields => createLogger({ level, write, fields: { ...fields, ...childFields } });
+    return logger;
+}
+
+// counts the bytes actually sent, content-length is missing for streamed / chunked responses
+function countResponseBytes(res) {
+    let bytes = 0;
+    const write = res.write;
+    const end = res.end;
+    const add = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        }
+    };
+    res.write = function (chunk, encoding, ...rest) {
+        add(chunk, encoding);
+        return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+        add(chunk, encoding);
+        return end.call(this, chunk, encoding, ...rest);
+    };
+    return () => bytes;
+}
+
+// who made the request: auth middlewares store the authenticated subject as req.auth.sub, req.user
+// is not used because some apps load the user being viewed into it (4.3's /users/:id routes)
+function userIdOf(req) {
+    const sub = req.auth?.sub;
+    return sub === undefined ? undefined : String(sub);
+}
+
+/**
+ * Request logging middleware.
+ * - takes the X-Request-Id from the request (e.g. set by a load balancer) or generates one,
+ *   sends it back in the response and exposes it as req.id
+ * - req.log is a logger that adds the request id to every line
+ * - logs one line when the response is finished (or the client went away): 5xx as error,
+ *   4xx as warn, everything else as info
+ * @param {object} [options]
+ * @param {string} [options.level=process.env.LOG_LEVEL || 'info'] error, warn, info or debug
+ * @param {(line: string) => void} [options.write] where lines go, stdout by default
+ * @param {string[]} [options.redact] extra header/query/body keys to hide
+ */
+function requestLogger({ level, write, redact: extraRedact = [] } = {}) {
+    const logger = createLogger({ level, write });
+    const redactKeys = new Set([...DEFAULT_REDACT, ...extraRedact].map(key => key.toLowerCase()));
+
+    return function requestLoggerMiddleware(req, res, next) {
+        const incoming = req.headers['x-request-id'];
+        req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+        req.log = logger.child({ requestId: req.id });
+
+        const start = process.hrtime.bigint();
+        const responseSize = countResponseBytes(res);
+        let logged = false;
+
+        function logRequest() {
+            if (logged) {
+                return;
+            }
+            logged = true;
+            const status = res.writableFinished ? res.statusCode : 499; // 499: client closed the connection
+            const entry = {
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status,
+                durationMs: Number((Number(process.hrtime.bigint() - start) / 1e6).toFixed(1)),
+                userId: userIdOf(req),
+                responseSize: responseSize(),
+                ip: req.ip,
+                userAgent: req.headers['user-agent'],
+            };
+            if (logger.isLevelEnabled('debug')) {
+                entry.query = redact(req.query, redactKeys);
+                entry.headers = redact(req.headers, redactKeys);
+                entry.body = redact(req.body, redactKeys);
+            }
+            const levelName = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+            req.log[levelName]('request completed', entry);
+        }
+
+        res.on('finish', logRequest);
+        res.on('close', logRequest);
+        next();
+    };
+}
+
+module.exports = { requestLogger, createLogger, redact };
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const express = require('express');
+const { corsPolicy } = require('../cors-policy');
+const { notFoundHandler, problemDetailsHandler } = require('../http-errors');
+
+const policy = {
+    defaults: { origins: ['https://myapp.com', 'https://*.myapp.com'], credentials: true },
+    routes: [
+        { path: '/public', origins: '*', credentials: false },
+        { path: /^\/api\//, origins: ['http://localhost:3001'], methods: ['GET', 'POST'], allowedHeaders: ['Content-Type', 'X-Request-Id'], maxAge: 300 },
+    ],
+};
+
+let server;
+let port;
+
+test.before(async () => {
+    const app = express();
+    app.use(corsPolicy(policy));
+    app.all('/{*any}', (req, res) => res.json({ ok: true }));
+    app.use(notFoundHandler);
+    app.use(problemDetailsHandler());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// fetch() refuses to set Origin, a browser-only header
+function request(method, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path, headers }, res => {
+            res.resume();
+            res.on('end', () => resolve(res));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+const preflight = (path, origin, method, requestHeaders) => request('OPTIONS', path, {
+    Origin: origin,
+    'Access-Control-Request-Method': method,
+    ...(requestHeaders && { 'Access-Control-Request-Headers': requestHeaders }),
+});
+
+test('an allowed preflight gets 204 with the allowed methods, headers, max age and Vary', async () => {
+    const res = await preflight('/api/items', 'http://localhost:3001', 'POST', 'content-type, x-request-id');
+    assert.strictEqual(res.statusCode, 204);
+    assert.strictEqual(res.headers['access-control-allow-origin'], 'http://localhost:3001');
+    assert.strictEqual(res.headers['access-control-allow-methods'], 'GET, POST');
+    assert.strictEqual(res.headers['access-control-allow-headers'], 'Content-Type, X-Request-Id');
+    assert.strictEqual(res.headers['access-control-max-age'], '300');
+    assert.deepStrictEqual(
+        res.headers.vary.split(',').map(value => value.trim()),
+        ['Origin', 'Access-Control-Request-Method', 'Access-Control-Request-Headers'],
+    );
+});
+
+test('a preflight from an origin that is not allowed is a 403', async () => {
+    const res = await preflight('/api/items', 'https://evil.example', 'GET');
+    assert.strictEqual(res.statusCode, 403);
+    assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+});
+
+test('a preflight asking for a method or header the rule does not allow is a 403', async () => {
+    assert.strictEqual((await preflight('/api/items', 'http://localhost:3001', 'DELETE')).statusCode, 403);
+    assert.strictEqual((await preflight('/api/items', 'http://localhost:3001', 'POST', 'x-secret')).statusCode, 403);
+});
+
+test('a simple request from an allowed origin gets the CORS headers, a disallowed one gets none', async () => {
+    const allowed = await request('GET', '/profile', { Origin: 'https://myapp.com' });
+    assert.strictEqual(allowed.statusCode, 200);
+    assert.strictEqual(allowed.headers['access-control-allow-origin'], 'https://myapp.com');
+    assert.strictEqual(allowed.headers['access-control-allow-credentials'], 'true');
+    assert.strictEqual(allowed.headers.vary, 'Origin');
+
+    const disallowed = await request('GET', '/profile', { Origin: 'https://evil.example' });
+    assert.strictEqual(disallowed.headers['access-control-allow-origin'], undefined);
+});
+
+test('a wildcard origin matches subdomains, not look-alike domains', async () => {
+    for (const origin of ['https://app.myapp.com', 'https://a.b.myapp.com']) {
+        const res = await request('GET', '/profile', { Origin: origin });
+        assert.strictEqual(res.headers['access-control-allow-origin'], origin, origin);
+    }
+    for (const origin of ['https://myapp.com.evil.com', 'https://evilmyapp.com', 'http://app.myapp.com']) {
+        const res = await request('GET', '/profile', { Origin: origin });
+        assert.strictEqual(res.headers['access-control-allow-origin'], undefined, origin);
+        assert.strictEqual((await preflight('/profile', origin, 'GET')).statusCode, 403, origin);
+    }
+});
+
+test('"*" answers every origin with * and no Vary: Origin', async () => {
+    const res = await request('GET', '/public', { Origin: 'https://anyone.example' });
+    assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+    assert.strictEqual(res.headers['access-control-allow-credentials'], undefined);
+    assert.strictEqual(res.headers.vary, undefined);
+});
+
+test('origins "*" with credentials is a config error', () => {
+    assert.throws(
+        () => corsPolicy({ routes: [{ path: '/x', origins: '*', credentials: true }] }),
+        /cannot be combined with credentials/,
+    );
+    assert.throws(() => corsPolicy({ defaults: { origins: '*', credentials: true } }), /cannot be combined with credentials/);
+});
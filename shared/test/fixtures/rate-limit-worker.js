@@ -0,0 +1,32 @@
+// cluster worker for rate-limit-store.test.js: one limiter on the shared socket store, fires
+// `requests` requests at it when the primary says go and reports how many were let through
+const { rateLimit } = require('../../rate-limiter');
+const { createSocketStore } = require('../../rate-limit-store');
+
+const store = createSocketStore({ path: process.env.RATE_LIMIT_SOCKET });
+const limiter = rateLimit({
+    name: process.env.LIMITER_NAME,
+    limit: Number(process.env.LIMIT),
+    windowMs: 60 * 1000,
+    strategy: process.env.STRATEGY,
+    store,
+    failOpen: false, // a store error must fail the test, not count as allowed
+});
+
+function send() {
+    return new Promise(resolve => {
+        const req = { ip: '203.0.113.7', headers: {} };
+        const res = { set() { } };
+        limiter(req, res, error => resolve(error ? error.status : 200));
+    });
+}
+
+process.on('message', async ({ requests }) => {
+    const statuses = await Promise.all(Array.from({ length: requests }, send));
+    process.send({
+        allowed: statuses.filter(status => status === 200).length,
+        rejected: statuses.filter(status => status === 429).length,
+    });
+    store.close();
+});
+process.send({ ready: true });
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const Path = require('node:path');
+const jwt = require('jsonwebtoken');
+const { createKeyStore, createJwtSigner } = require('../jwt-keystore');
+
+let dir;
+let keyStore;
+
+test.before(() => {
+    dir = fs.mkdtempSync(Path.join(os.tmpdir(), 'jwt-keystore-'));
+    keyStore = createKeyStore({ file: Path.join(dir, 'keys.json'), maxTokenTtlMs: 60 * 1000 });
+});
+
+test.after(() => {
+    keyStore.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a signer without an audience signs and verifies tokens without aud', async () => {
+    const tokens = createJwtSigner(jwt, keyStore);
+    const token = await tokens.sign({ userId: 'u1' }, { expiresIn: 60 });
+    const claims = await tokens.verify(token);
+    assert.strictEqual(claims.userId, 'u1');
+    assert.strictEqual(claims.aud, undefined);
+});
+
+test('a signer with an audience puts it into every token and requires it when verifying', async () => {
+    const access = createJwtSigner(jwt, keyStore, { audience: 'access' });
+    const token = await access.sign({ userId: 'u1' }, { expiresIn: 60 });
+    assert.strictEqual((await access.verify(token)).aud, 'access');
+
+    const mfaToken = await access.sign({ userId: 'u1' }, { audience: 'mfa', expiresIn: 60 });
+    await assert.rejects(access.verify(mfaToken), /jwt audience invalid/);
+    assert.strictEqual((await access.verify(mfaToken, { audience: 'mfa' })).aud, 'mfa');
+});
+
+test('a token signed with a shared secret is rejected', async () => {
+    const tokens = createJwtSigner(jwt, keyStore);
+    const forged = jwt.sign({ userId: 'u1' }, 'secret', { algorithm: 'HS256', keyid: (await keyStore.signingKey()).kid });
+    await assert.rejects(tokens.verify(forged));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cluster = require('node:cluster');
+const os = require('node:os');
+const Path = require('node:path');
+const { createRateLimitServer, createSocketStore, createMemoryStore } = require('../rate-limit-store');
+const { rateLimit } = require('../rate-limiter');
+
+const WORKERS = 4;
+const REQUESTS_PER_WORKER = 15;
+const LIMIT = 20;
+
+function socketPath(name) {
+    return process.platform === 'win32'
+        ? `\\\\.\\pipe\\rate-limit-test-${process.pid}-${name}`
+        : Path.join(os.tmpdir(), `rate-limit-test-${process.pid}-${name}.sock`);
+}
+
+// forks the workers, waits until all are connected and ready, then lets them all go at once
+async function runWorkers(env) {
+    cluster.setupPrimary({ exec: Path.join(__dirname, 'fixtures', 'rate-limit-worker.js'), silent: true });
+    const workers = Array.from({ length: WORKERS }, () => cluster.fork(env));
+    await Promise.all(workers.map(worker => new Promise((resolve, reject) => {
+        worker.once('message', resolve);
+        worker.once('exit', code => reject(new Error(`worker exited early with code ${code}`)));
+    })));
+    const reports = await Promise.all(workers.map(worker => new Promise(resolve => {
+        worker.once('message', resolve);
+        worker.send({ requests: REQUESTS_PER_WORKER });
+    })));
+    await Promise.all(workers.map(worker => new Promise(resolve => {
+        worker.once('exit', resolve);
+        worker.kill();
+    })));
+    return reports;
+}
+
+for (const strategy of ['fixed-window', 'sliding-window', 'token-bucket']) {
+    test(`${WORKERS} cluster workers on one socket store share a single ${strategy} limit`, async t => {
+        const path = socketPath(strategy);
+        const server = await createRateLimitServer({ path });
+        t.after(() => new Promise(resolve => server.close(resolve)));
+
+        const reports = await runWorkers({ RATE_LIMIT_SOCKET: path, LIMIT: String(LIMIT), LIMITER_NAME: 'cluster-test', STRATEGY: strategy });
+
+        const allowed = reports.reduce((sum, report) => sum + report.allowed, 0);
+        const rejected = reports.reduce((sum, report) => sum + report.rejected, 0);
+        assert.strictEqual(allowed, LIMIT);
+        assert.strictEqual(rejected, WORKERS * REQUESTS_PER_WORKER - LIMIT);
+    });
+}
+
+test('limiters with different names on one shared store count separately', async t => {
+    const path = socketPath('names');
+    const server = await createRateLimitServer({ path });
+    const store = createSocketStore({ path });
+    t.after(() => {
+        store.close();
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    const consume = (name) => store.consume(`${name}:ip:1`, 'fixed-window', { limit: 1, windowMs: 60 * 1000 });
+    assert.strictEqual((await consume('a')).allowed, true);
+    assert.strictEqual((await consume('a')).allowed, false);
+    assert.strictEqual((await consume('b')).allowed, true);
+});
+
+test('a limiter on a shared store needs an explicit name', () => {
+    const store = createSocketStore({ path: socketPath('unused') });
+    assert.throws(() => rateLimit({ store }), /needs a name/);
+    assert.doesNotThrow(() => rateLimit({ store, name: 'api' }));
+
+    const memory = createMemoryStore();
+    assert.doesNotThrow(() => rateLimit({ store: memory }));
+    memory.close();
+});